@@ -1,38 +1,45 @@
 async function setup() {
-    const patchExportURL = "export/GS1.4.export.json";
-
     // Create AudioContext
     const WAContext = window.AudioContext || window.webkitAudioContext;
     const context = new WAContext();
 
-    // Create gain node and connect it to audio output
+    // Create gain node that every device plays into; the master strip
+    // takes it from there to the audio output
     const outputNode = context.createGain();
     outputNode.gain.value = 1.0;
-    outputNode.connect(context.destination);
-    
-    // Fetch the exported patcher
-    let response, patcher;
-    try {
-        response = await fetch(patchExportURL);
-        patcher = await response.json();
-    
-        if (!window.RNBO) {
-            // Load RNBO script dynamically
-            // Note that you can skip this by knowing the RNBO version of your patch
-            // beforehand and just include it using a <script> tag
-            await loadRNBOScript(patcher.desc.meta.rnboversion);
-        }
+    const master = makeMasterSection(context, outputNode);
+
+    // A controller-only page steers another one and makes no sound itself
+    const controllerOnly = isControllerOnly();
+    document.body.classList.toggle("controller-only", controllerOnly);
+    updateDiagnostics({ context, controllerOnly });
 
+    // The exports listed in export/manifest.json, and the one to start with
+    const manifest = await loadPatcherManifest();
+    const sharedState = readSharedState();
+    const entry = (sharedState && manifest.entries.find(e => e.id === sharedState.patcher))
+        || initialPatcherEntry(manifest);
+    const loadingScreen = makeLoadingScreen();
+
+    let loaded;
+    try {
+        loaded = await loadPatcher(context, entry, loadingScreen, controllerOnly);
     } catch (err) {
+        // Start from the default export next time
+        localStorage.removeItem(PATCHER_STORAGE_KEY);
         const errorContext = {
             error: err
         };
-        if (response && (response.status >= 300 || response.status < 200)) {
+        if (err.header) {
+            errorContext.header = err.header;
+            errorContext.description = err.description;
+        } else if (err.response) {
             errorContext.header = `Couldn't load patcher export bundle`,
-            errorContext.description = `Check app.js to see what file it's trying to load. Currently it's` +
-            ` trying to load "${patchExportURL}". If that doesn't` + 
-            ` match the name of the file you exported from RNBO, modify` + 
-            ` patchExportURL in app.js.`;
+            errorContext.description = `Check export/manifest.json (or app.js if there is no manifest)` +
+            ` to see what file it's trying to load. Currently it's` +
+            ` trying to load "${entry.patcherURL}". If that doesn't` +
+            ` match the name of the file you exported from RNBO, fix` +
+            ` the entry's folder and patcher fields.`;
         }
         if (typeof guardrails === "function") {
             guardrails(errorContext);
@@ -41,464 +48,217 @@ async function setup() {
         }
         return;
     }
-    
-    // (Optional) Fetch the dependencies
-    let dependencies = [];
-    try {
-        const dependenciesResponse = await fetch("export/dependencies.json");
-        dependencies = await dependenciesResponse.json();
-
-        // Prepend "export" to any file dependenciies
-        dependencies = dependencies.map(d => d.file ? Object.assign({}, d, { file: "export/" + d.file }) : d);
-    } catch (e) {}
-
-    // Create the device
-    let device;
-    try {
-        device = await RNBO.createDevice({ context, patcher });
-    } catch (err) {
-        if (typeof guardrails === "function") {
-            guardrails({ error: err });
-        } else {
-            throw err;
-        }
-        return;
-    }
-
-    // (Optional) Load the samples
-    if (dependencies.length) {
-        await device.loadDataBufferDependencies(dependencies);
-    }
-
-    // Connect the device to the web audio graph
-    device.node.connect(outputNode);
 
-    // Set transport tempo (if transport exists)
-    if (device.node.context.transport) {
-        device.node.context.transport.tempo = 120;
+    // Rows built from the patcher are reset before a switch builds the next one
+    const resetPanel = makePanelReset(document.querySelector(".equipment-panel"));
+    let session = mountPatcher(context, outputNode, master, loaded);
+    reportBufferFailures(loaded.bufferResults);
+
+    // A share link's sound goes onto the first device only
+    if (sharedState) {
+        applySharedState(session, sharedState).then(reportSharedStateProblems).catch(err => {
+            console.error(err);
+            if (typeof guardrails === "function") {
+                guardrails({ error: err, header: `Couldn't apply the share link`, description: err.message });
+            }
+        });
+        clearSharedState();
     }
 
-    // (Optional) Extract the name and rnbo version of the patcher from the description
-    document.getElementById("patcher-title").innerText = (patcher.desc.meta.filename || "Unnamed Patcher") + " (v" + patcher.desc.meta.rnboversion + ")";
-
-    // Create custom transport controls (Play/Stop)
-    makeTransportControls(device, context);
-
-    // Create drum loop selector buttons
-    makeDrumLoopButtons(device, context);
-
-    // Create custom parameter controls (only cutoff, res, verb_send)
-    makeCustomSliders(device);
-
-    // Connect USB MIDI devices
-    connectUSBMIDI(device);
+    // Share control with other windows, and with phones through the relay
+    const remote = makeRemoteControl(() => session, controllerOnly);
+    remote.attach(session);
+
+    // Resume on the first tap, and whenever the browser stops the audio
+    // while playing; keep the screen on while playing
+    const lifecycle = makeAudioLifecycle(context, () => session, controllerOnly);
+    lifecycle.attach(session);
+
+    // Builds the new device first, so an export that fails to load leaves
+    // the current one playing
+    const switchPatcher = async (next) => {
+        let nextLoaded;
+        try {
+            nextLoaded = await loadPatcher(context, next, loadingScreen, controllerOnly);
+        } catch (err) {
+            console.error(err);
+            // The diagnostics panel doesn't block the patcher that is still playing
+            if (typeof guardrails === "function") {
+                guardrails({ error: err, header: err.header || `Couldn't load ${next.name}`, description: err.description || err.message });
+            } else {
+                alert(`Couldn't load ${next.name}: ${err.message}`);
+            }
+            return false;
+        }
 
-    // Mobile-friendly audio context initialization
-    const startAudioContext = async () => {
-        if (context.state === 'suspended') {
-            await context.resume();
+        const previous = session;
+        const values = captureParameterValues(previous.device, previous.smoother);
+        const wasRunning = previous.transport.running;
+        const beatTime = previous.transport.getBeatTime();
+        const loop = previous.loopControls && previous.loopControls.currentLoop;
+        unmountPatcher(previous);
+        resetPanel();
+
+        session = mountPatcher(context, outputNode, master, nextLoaded);
+        remote.attach(session);
+        lifecycle.attach(session);
+        reportBufferFailures(nextLoaded.bufferResults);
+        updateDiagnostics({ device: session.device, patcher: nextLoaded.patcher });
+        applyParameterValues(session.device, values);
+        session.transport.setTimeSignature(previous.transport.numerator, previous.transport.denominator);
+        if (wasRunning) {
+            session.transport.setBeatTime(beatTime);
+            if (session.loopControls && session.loopControls.buttons[loop]) {
+                session.loopControls.applyLoop(loop);
+            } else if (session.transportControls) {
+                session.transportControls.play();
+            }
         }
+        // The carried-over values aren't a step to undo
+        session.history.clear();
+        return true;
     };
+    makePatcherSelector(manifest, entry.id, switchPatcher);
 
-    // Handle both click and touch events for mobile
-    document.body.addEventListener('click', startAudioContext);
-    document.body.addEventListener('touchstart', startAudioContext, { once: true });
-
-    // Skip if you're not using guardrails.js
-    if (typeof guardrails === "function")
-        guardrails();
-}
-
-function loadRNBOScript(version) {
-    return new Promise((resolve, reject) => {
-        if (/^\d+\.\d+\.\d+-dev$/.test(version)) {
-            throw new Error("Patcher exported with a Debug Version!\nPlease specify the correct RNBO version to use in the code.");
-        }
-        const el = document.createElement("script");
-        el.src = "https://c74-public.nyc3.digitaloceanspaces.com/rnbo/" + encodeURIComponent(version) + "/rnbo.min.js";
-        el.onload = resolve;
-        el.onerror = function(err) {
-            console.log(err);
-            reject(new Error("Failed to load rnbo.js v" + version));
-        };
-        document.body.append(el);
+    // Record the master output into a persistent take list. It taps the
+    // master strip, so it keeps recording across patcher switches
+    makeTakeRecorder(context, master.recordTap, master.monitorInput).catch(err => {
+        console.error("Take recorder unavailable:", err);
     });
-}
-
-function makeTransportControls(device, context) {
-    const transportDiv = document.getElementById("transport-controls");
-    if (!transportDiv) return;
-
-    const loopSelectParam = device.parameters.find(p => p.id === "loop_select");
-    if (!loopSelectParam) return;
 
-    const playButton = document.createElement("button");
-    playButton.textContent = "PLAY";
-    playButton.className = "transport-button play-button";
-    playButton.id = "play-button";
+    // Follow or send MIDI clock for the current transport
+    const midiSync = makeMidiSync(() => session);
 
-    const stopButton = document.createElement("button");
-    stopButton.textContent = "STOP";
-    stopButton.className = "transport-button stop-button";
-    stopButton.id = "stop-button";
-
-    let lastLoopValue = 1;
-
-    const handlePlay = async (e) => {
-        if (e) e.preventDefault();
-        await context.resume();
-        if (device.node.context.transport) {
-            device.node.context.transport.running = true;
-        }
-        loopSelectParam.value = lastLoopValue;
-        playButton.classList.add("active");
-        stopButton.classList.remove("active");
-    };
-
-    const handleStop = (e) => {
-        if (e) e.preventDefault();
-        loopSelectParam.value = 0;
-        if (device.node.context.transport) {
-            device.node.context.transport.running = false;
-        }
-        stopButton.classList.add("active");
-        playButton.classList.remove("active");
-    };
-
-    playButton.addEventListener("click", handlePlay);
-    playButton.addEventListener("touchstart", handlePlay, { passive: false });
+    // Connect USB MIDI devices
+    connectUSBMIDI(() => session, midiSync);
 
-    stopButton.addEventListener("click", handleStop);
-    stopButton.addEventListener("touchstart", handleStop, { passive: false });
+    // Space, number and arrow keys for the current patcher
+    makeKeyboardShortcuts(() => session);
 
-    stopButton.classList.add("active");
+    // CTRL+Z and CTRL+SHIFT+Z through the current patcher's history
+    makeHistoryKeys(() => session);
 
-    transportDiv.appendChild(playButton);
-    transportDiv.appendChild(stopButton);
+    // Copy a link that recreates the current sound
+    makeShareButton(() => session);
 
-    window.updateLastLoopValue = (value) => {
-        if (value > 0) {
-            lastLoopValue = value;
-        }
-    };
+    updateDiagnostics({ device: session.device, patcher: loaded.patcher });
 }
 
-function makeDrumLoopButtons(device, context) {
-    const loopDiv = document.getElementById("drum-loop-buttons");
-    if (!loopDiv) return;
-
-    const loopSelectParam = device.parameters.find(p => p.id === "loop_select");
-    if (!loopSelectParam) return;
-
-    const drumLoops = [
-        { name: "LOOP 1", value: 1 },
-        { name: "LOOP 2", value: 2 },
-        { name: "LOOP 3", value: 3 },
-        { name: "LOOP 4", value: 4 }
-    ];
-
-    drumLoops.forEach((loop, index) => {
-        const button = document.createElement("button");
-        button.textContent = loop.name;
-        button.className = "loop-button";
-        button.dataset.loopValue = loop.value;
-
-        if (index === 0) {
-            button.classList.add("active");
-        }
-
-        const handleLoopSelect = async (e) => {
-            if (e) e.preventDefault();
-            await context.resume();
-            if (device.node.context.transport) {
-                device.node.context.transport.running = true;
-            }
-            loopSelectParam.value = loop.value;
-
-            document.querySelectorAll(".loop-button").forEach(btn => {
-                btn.classList.remove("active");
-            });
-            button.classList.add("active");
-
-            if (window.updateLastLoopValue) {
-                window.updateLastLoopValue(loop.value);
-            }
-
-            const playButton = document.getElementById("play-button");
-            const stopButton = document.getElementById("stop-button");
-            if (playButton && stopButton) {
-                playButton.classList.add("active");
-                stopButton.classList.remove("active");
-            }
-        };
-
-        button.addEventListener("click", handleLoopSelect);
-        button.addEventListener("touchstart", handleLoopSelect, { passive: false });
+// Hands what the app has loaded to the diagnostics checks, which run again.
+// Skip if you're not using guardrails.js
+function updateDiagnostics(environment) {
+    if (typeof setGuardrailsEnvironment === "function")
+        setGuardrailsEnvironment(environment);
+}
 
-        loopDiv.appendChild(button);
+// Queues a guardrails entry per buffer that didn't load, in place of those
+// for the export loaded before; they show up with the next diagnostics run
+function reportBufferFailures(bufferResults) {
+    if (typeof addGuardrailsError !== "function") return;
+    clearGuardrailsErrors("patcher");
+    bufferResults.filter(result => !result.ok).forEach(result => {
+        addGuardrailsError({
+            scope: "patcher",
+            header: result.id ? `Buffer "${result.id}" didn't load` : `Samples didn't load`,
+            description: result.id
+                ? `${result.error}. Its LOOP button is disabled until a file is` +
+                  ` loaded into the slot from the SAMPLES panel.`
+                : `${result.error}. The loop buffers are empty.`
+        });
     });
 }
 
-function makeCustomSliders(device) {
-    let pdiv = document.getElementById("rnbo-parameter-sliders");
-    let noParamLabel = document.getElementById("no-param-label");
-    if (noParamLabel && device.numParameters > 0) pdiv.removeChild(noParamLabel);
+// Connects a loaded device and builds its controls. Returns the session
+// that unmountPatcher tears down again.
+function mountPatcher(context, outputNode, master, { entry, patcher, dependencies, bufferResults, device, layout }) {
+    // Connect the device to the web audio graph
+    device.node.connect(outputNode);
 
-    let isDraggingSlider = false;
-    let uiElements = {};
+    // Meters, spectrum and scope on the device output
+    makeOutputAnalysis(context, device, device.node, layout.spectrumMarkerParam);
 
-    const parametersToShow = ["cut_off", "res", "verb_send"];
+    // Tempo, time signature and musical position
+    const transport = makeTransport(device, context);
+    makeTransportPanel(transport);
 
-    device.parameters.forEach(param => {
-        if (!parametersToShow.includes(param.id)) return;
+    // Loop and PLAY/STOP changes wait for the next beat or bar while playing
+    const launchQuantizer = makeLaunchQuantizer(transport, context);
 
-        let label = document.createElement("label");
-        let slider = document.createElement("input");
-        let text = document.createElement("input");
-        let sliderContainer = document.createElement("div");
-        sliderContainer.appendChild(label);
-        sliderContainer.appendChild(slider);
-        sliderContainer.appendChild(text);
+    // (Optional) Extract the name and rnbo version of the patcher from the description
+    document.getElementById("patcher-title").innerText = (patcher.desc.meta.filename || "Unnamed Patcher") + " (v" + patcher.desc.meta.rnboversion + ")";
 
-        const displayNames = {
-            "cut_off": "CUTOFF",
-            "res": "RESONANCE",
-            "verb_send": "REVERB"
-        };
+    // Create custom transport controls (Play/Stop)
+    const transportControls = makeTransportControls(device, context, transport, launchQuantizer, layout);
 
-        label.setAttribute("name", param.name);
-        label.setAttribute("for", param.name);
-        label.setAttribute("class", "param-label");
-        label.textContent = `${displayNames[param.id] || param.name}: `;
-
-        slider.setAttribute("type", "range");
-        slider.setAttribute("class", "param-slider");
-        slider.setAttribute("id", param.id);
-        slider.setAttribute("name", param.name);
-        slider.setAttribute("min", param.min);
-        slider.setAttribute("max", param.max);
-        if (param.steps > 1) {
-            slider.setAttribute("step", (param.max - param.min) / (param.steps - 1));
-        } else {
-            slider.setAttribute("step", (param.max - param.min) / 1000.0);
-        }
-        slider.setAttribute("value", param.value);
+    // Create drum loop selector buttons
+    const loopSlots = loopSlotsFromPatcher(patcher);
+    const loopControls = makeDrumLoopButtons(device, context, transport, launchQuantizer, loopSlots, layout, transportControls);
 
-        text.setAttribute("value", param.value.toFixed(1));
-        text.setAttribute("type", "text");
+    // Swap user audio files into the loop buffers
+    const loopLibrary = makeLoopLibrary(device, context, loopControls, loopSlots, dependencies, bufferResults);
 
-        slider.addEventListener("pointerdown", () => {
-            isDraggingSlider = true;
-        });
-        slider.addEventListener("pointerup", () => {
-            isDraggingSlider = false;
-            slider.value = param.value;
-            text.value = param.value.toFixed(1);
-        });
-        slider.addEventListener("input", () => {
-            let value = Number.parseFloat(slider.value);
-            param.value = value;
-        });
+    // Create parameter controls and inport/outport panels from the patcher
+    // description; control and MIDI moves glide through the smoother
+    const smoother = makeParamSmoother();
+    const parameterItems = makeParameterUI(device, layout, smoother);
+    makeMessagePorts(device);
 
-        text.addEventListener("keydown", (ev) => {
-            if (ev.key === "Enter") {
-                let newValue = Number.parseFloat(text.value);
-                if (isNaN(newValue)) {
-                    text.value = param.value;
-                } else {
-                    newValue = Math.min(newValue, param.max);
-                    newValue = Math.max(newValue, param.min);
-                    text.value = newValue;
-                    param.value = newValue;
-                }
-            }
-        });
+    // Song mode: chains of loops played in order from the transport clock
+    const songMode = makeSongMode(transport, launchQuantizer, loopControls, transportControls);
 
-        uiElements[param.id] = { slider, text };
-        pdiv.appendChild(sliderContainer);
-    });
+    // Record and play back effect moves against the transport
+    const automation = makeAutomation(device, transport, parameterItems.filter(item => item.widget === "slider" || item.widget === "knob"), smoother);
 
-    device.parameterChangeEvent.subscribe(param => {
-        if (!uiElements[param.id]) return;
-        if (!isDraggingSlider)
-            uiElements[param.id].slider.value = param.value;
-        uiElements[param.id].text.value = param.value.toFixed(1);
-    });
-}
+    // Bounce the current loop or song chain, with its automation, to a WAV file
+    makeOfflineRender(device, patcher, dependencies, context, transport, loopControls, songMode, layout, automation, loopLibrary, master);
 
-function makeSliders(device) {
-    let pdiv = document.getElementById("rnbo-parameter-sliders");
-    let noParamLabel = document.getElementById("no-param-label");
-    if (noParamLabel && device.numParameters > 0) pdiv.removeChild(noParamLabel);
-
-    // This will allow us to ignore parameter update events while dragging the slider.
-    let isDraggingSlider = false;
-    let uiElements = {};
-
-    device.parameters.forEach(param => {
-        // Subpatchers also have params. If we want to expose top-level
-        // params only, the best way to determine if a parameter is top level
-        // or not is to exclude parameters with a '/' in them.
-        // You can uncomment the following line if you don't want to include subpatcher params
-        
-        //if (param.id.includes("/")) return;
-
-        // Create a label, an input slider and a value display
-        let label = document.createElement("label");
-        let slider = document.createElement("input");
-        let text = document.createElement("input");
-        let sliderContainer = document.createElement("div");
-        sliderContainer.appendChild(label);
-        sliderContainer.appendChild(slider);
-        sliderContainer.appendChild(text);
-
-        // Add a name for the label
-        label.setAttribute("name", param.name);
-        label.setAttribute("for", param.name);
-        label.setAttribute("class", "param-label");
-        label.textContent = `${param.name}: `;
-
-        // Make each slider reflect its parameter
-        slider.setAttribute("type", "range");
-        slider.setAttribute("class", "param-slider");
-        slider.setAttribute("id", param.id);
-        slider.setAttribute("name", param.name);
-        slider.setAttribute("min", param.min);
-        slider.setAttribute("max", param.max);
-        if (param.steps > 1) {
-            slider.setAttribute("step", (param.max - param.min) / (param.steps - 1));
-        } else {
-            slider.setAttribute("step", (param.max - param.min) / 1000.0);
-        }
-        slider.setAttribute("value", param.value);
+    // Knobs and XY pads that each move several parameters
+    const macros = makeMacros(device, [layout.patternParam], smoother);
 
-        // Make a settable text input display for the value
-        text.setAttribute("value", param.value.toFixed(1));
-        text.setAttribute("type", "text");
+    // Factory and user presets, which also carry the song chain and macros
+    const presets = loadPresets(device, patcher, { chain: songMode, macros }, [layout.patternParam]);
 
-        // Make each slider control its parameter
-        slider.addEventListener("pointerdown", () => {
-            isDraggingSlider = true;
-        });
-        slider.addEventListener("pointerup", () => {
-            isDraggingSlider = false;
-            slider.value = param.value;
-            text.value = param.value.toFixed(1);
-        });
-        slider.addEventListener("input", () => {
-            let value = Number.parseFloat(slider.value);
-            param.value = value;
-        });
-
-        // Make the text box input control the parameter value as well
-        text.addEventListener("keydown", (ev) => {
-            if (ev.key === "Enter") {
-                let newValue = Number.parseFloat(text.value);
-                if (isNaN(newValue)) {
-                    text.value = param.value;
-                } else {
-                    newValue = Math.min(newValue, param.max);
-                    newValue = Math.max(newValue, param.min);
-                    text.value = newValue;
-                    param.value = newValue;
-                }
-            }
-        });
+    // Map controller knobs and pads onto parameters, macros and loops
+    const midiLearn = makeMidiLearn(device, loopControls, macros, parameterItems);
 
-        // Store the slider and text by name so we can access them later
-        uiElements[param.id] = { slider, text };
-
-        // Add the slider element
-        pdiv.appendChild(sliderContainer);
-    });
+    // Undo steps and A/B snapshots of the parameters and loop
+    const history = makeHistory(device, parameterItems, loopControls, layout.patternParam, automation, smoother);
 
-    // Listen to parameter changes from the device
-    device.parameterChangeEvent.subscribe(param => {
-        if (!isDraggingSlider)
-            uiElements[param.id].slider.value = param.value;
-        uiElements[param.id].text.value = param.value.toFixed(1);
-    });
+    return { entry, layout, device, parameterItems, smoother, transport, transportControls, loopControls, presets, midiLearn, history };
 }
 
-function makeInportForm(device) {
-    const idiv = document.getElementById("rnbo-inports");
-    const inportSelect = document.getElementById("inport-select");
-    const inportText = document.getElementById("inport-text");
-    const inportForm = document.getElementById("inport-form");
-    let inportTag = null;
-    
-    // Device messages correspond to inlets/outlets or inports/outports
-    // You can filter for one or the other using the "type" of the message
-    const messages = device.messages;
-    const inports = messages.filter(message => message.type === RNBO.MessagePortType.Inport);
-
-    if (inports.length === 0) {
-        idiv.removeChild(document.getElementById("inport-form"));
-        return;
-    } else {
-        idiv.removeChild(document.getElementById("no-inports-label"));
-        inports.forEach(inport => {
-            const option = document.createElement("option");
-            option.innerText = inport.tag;
-            inportSelect.appendChild(option);
-        });
-        inportSelect.onchange = () => inportTag = inportSelect.value;
-        inportTag = inportSelect.value;
-
-        inportForm.onsubmit = (ev) => {
-            // Do this or else the page will reload
-            ev.preventDefault();
-
-            // Turn the text into a list of numbers (RNBO messages must be numbers, not text)
-            const values = inportText.value.split(/\s+/).map(s => parseFloat(s));
-            
-            // Send the message event to the RNBO device
-            let messageEvent = new RNBO.MessageEvent(RNBO.TimeNow, inportTag, values);
-            device.scheduleEvent(messageEvent);
-        }
-    }
+// Stopping the transport also cancels queued launches, the song chain and
+// automation playback; the controls themselves go with the panel reset
+function unmountPatcher(session) {
+    session.transport.setRunning(false);
+    session.midiLearn.dispose();
+    session.device.node.disconnect();
 }
 
-function attachOutports(device) {
-    const outports = device.outports;
-    if (outports.length < 1) {
-        document.getElementById("rnbo-console").removeChild(document.getElementById("rnbo-console-div"));
-        return;
-    }
-
-    document.getElementById("rnbo-console").removeChild(document.getElementById("no-outports-label"));
-    device.messageEvent.subscribe((ev) => {
-
-        // Ignore message events that don't belong to an outport
-        if (outports.findIndex(elt => elt.tag === ev.tag) < 0) return;
+// Inputs are opened once; each message goes to whichever patcher is loaded
+function connectUSBMIDI(getSession, midiSync) {
+    if (navigator.requestMIDIAccess) {
+        const onMIDIMessage = (message) => {
+            const data = message.data;
+            const { device, midiLearn } = getSession();
+            if (midiSync && midiSync.handleMessage(data, message.timeStamp)) return;
+            if (midiLearn && midiLearn.handleMessage(data)) return;
 
-        // Message events have a tag as well as a payload
-        console.log(`${ev.tag}: ${ev.payload}`);
+            // Only hand raw MIDI to the device if the patcher actually listens for it
+            const forwardToDevice = device.numMidiInputPorts > 0;
+            if (!forwardToDevice) return;
 
-        document.getElementById("rnbo-console-readout").innerText = `${ev.tag}: ${ev.payload}`;
-    });
-}
+            const midiPort = 0;
 
-function loadPresets(device, patcher) {
-    let presets = patcher.presets || [];
-    if (presets.length < 1) {
-        document.getElementById("rnbo-presets").removeChild(document.getElementById("preset-select"));
-        return;
-    }
+            const midiEvent = new RNBO.MIDIEvent(
+                device.context.currentTime * 1000,
+                midiPort,
+                data
+            );
 
-    document.getElementById("rnbo-presets").removeChild(document.getElementById("no-presets-label"));
-    let presetSelect = document.getElementById("preset-select");
-    presets.forEach((preset, index) => {
-        const option = document.createElement("option");
-        option.innerText = preset.name;
-        option.value = index;
-        presetSelect.appendChild(option);
-    });
-    presetSelect.onchange = () => device.setPreset(presets[presetSelect.value].preset);
-}
+            device.scheduleEvent(midiEvent);
+        };
 
-function connectUSBMIDI(device) {
-    if (navigator.requestMIDIAccess) {
         navigator.requestMIDIAccess()
             .then(midiAccess => {
                 console.log("MIDI Access granted");
@@ -510,18 +270,7 @@ function connectUSBMIDI(device) {
                     midiInputCount++;
                     console.log(`MIDI Input: ${input.name}`);
 
-                    input.onmidimessage = (message) => {
-                        const data = message.data;
-                        const midiPort = 0;
-
-                        const midiEvent = new RNBO.MIDIEvent(
-                            device.context.currentTime * 1000,
-                            midiPort,
-                            data
-                        );
-
-                        device.scheduleEvent(midiEvent);
-                    };
+                    input.onmidimessage = onMIDIMessage;
                 });
 
                 if (midiInputCount > 0) {
@@ -529,22 +278,16 @@ function connectUSBMIDI(device) {
                 } else {
                     console.log("No MIDI input devices found. Connect a USB MIDI device.");
                 }
+                updateDiagnostics({ midiInputs: midiInputCount });
+                if (midiSync) midiSync.setMIDIAccess(midiAccess);
 
                 midiAccess.onstatechange = (event) => {
                     console.log(`MIDI State Change: ${event.port.name} - ${event.port.state}`);
                     if (event.port.state === 'connected' && event.port.type === 'input') {
-                        event.port.onmidimessage = (message) => {
-                            const data = message.data;
-                            const midiPort = 0;
-
-                            const midiEvent = new RNBO.MIDIEvent(
-                                device.context.currentTime * 1000,
-                                midiPort,
-                                data
-                            );
-
-                            device.scheduleEvent(midiEvent);
-                        };
+                        event.port.onmidimessage = onMIDIMessage;
+                    }
+                    if (event.port.type === 'input') {
+                        updateDiagnostics({ midiInputs: midiAccess.inputs.size });
                     }
                 };
             })
@@ -556,6 +299,10 @@ function connectUSBMIDI(device) {
     }
 }
 
+// Cache the app for offline use; this doesn't wait on setup so it still
+// happens when loading the patcher fails
+registerServiceWorker();
+
 setup().catch(err => {
     alert("Error loading app: " + err.message);
     console.error(err);
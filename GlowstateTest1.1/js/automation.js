@@ -0,0 +1,285 @@
+/**
+ * Automation lanes for the continuous parameters on the panel. With REC
+ * armed and the transport running, every change to a lane's parameter is
+ * stored against its position in a loop-length cycle, whether it came from
+ * the slider, the text box or MIDI (they all land in
+ * device.parameterChangeEvent). Enabled lanes play back on every later
+ * pass. Without OVERDUB, the first move of a take wipes the lane; with it,
+ * only the span being written is replaced.
+ */
+
+const AUTOMATION_STORAGE_KEY = "glowstate.automation";
+const AUTOMATION_TICK_INTERVAL = 15;
+// A lane stays under manual control for this long after the last user move
+const AUTOMATION_TOUCH_TIMEOUT = 500;
+
+function automationValueAt(points, pos) {
+    if (!points.length) return undefined;
+    // Last point at or before pos; before the first point we hold the value
+    // the previous pass ended on
+    let low = 0;
+    let high = points.length - 1;
+    if (points[0].pos > pos) return points[high].value;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (points[mid].pos <= pos) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return points[low].value;
+}
+
+function makeAutomation(device, transport, paramItems, smoother) {
+    const lanesDiv = document.getElementById("automation-lanes");
+    const recordButton = document.getElementById("automation-record-button");
+    const overdubInput = document.getElementById("automation-overdub");
+    const lengthSelect = document.getElementById("automation-length");
+
+    const labels = {};
+    paramItems.forEach(item => { labels[item.id] = item.label; });
+    const params = paramItems.map(item => item.param);
+
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(AUTOMATION_STORAGE_KEY));
+    } catch (e) {}
+
+    let lengthBars = stored && stored.lengthBars > 0 ? stored.lengthBars : 4;
+    let recording = false;
+    let overdub = !!(stored && stored.overdub);
+    let timer = null;
+
+    const lanes = {};
+    params.forEach(param => {
+        const storedLane = stored && stored.lanes && stored.lanes[param.id];
+        lanes[param.id] = {
+            param,
+            points: storedLane && Array.isArray(storedLane.points) ? storedLane.points : [],
+            enabled: !storedLane || storedLane.enabled !== false,
+            touchedThisTake: false,
+            lastRecordPos: null,
+            lastTouch: 0,
+            lastPlayedValue: undefined,
+            ui: null
+        };
+    });
+
+    const save = () => {
+        const data = { lengthBars, overdub, lanes: {} };
+        Object.keys(lanes).forEach(id => {
+            data.lanes[id] = { points: lanes[id].points, enabled: lanes[id].enabled };
+        });
+        localStorage.setItem(AUTOMATION_STORAGE_KEY, JSON.stringify(data));
+    };
+
+    const laneLength = () => lengthBars * transport.barLength();
+    const position = () => {
+        const length = laneLength();
+        return ((transport.getBeatTime() % length) + length) % length;
+    };
+
+    const drawLane = (lane) => {
+        if (!lane.ui) return;
+        const canvas = lane.ui.canvas;
+        const ctx = canvas.getContext("2d");
+        const { width, height } = canvas;
+        const { param, points } = lane;
+        ctx.clearRect(0, 0, width, height);
+        lane.ui.count.textContent = points.length ? `${points.length} pts` : "empty";
+        if (!points.length) return;
+
+        const length = laneLength();
+        const y = value => height - ((value - param.min) / (param.max - param.min || 1)) * (height - 2) - 1;
+        ctx.strokeStyle = lane.enabled ? "#00f3ff" : "#6b7a94";
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let lastY = y(points[points.length - 1].value);
+        ctx.moveTo(0, lastY);
+        points.forEach(point => {
+            const x = (point.pos / length) * width;
+            ctx.lineTo(x, lastY);
+            lastY = y(point.value);
+            ctx.lineTo(x, lastY);
+        });
+        ctx.lineTo(width, lastY);
+        ctx.stroke();
+    };
+
+    // Touch-replace: drop what lies between the previous and the current
+    // write position of an ongoing gesture, wrapping at the loop end
+    const removeSpan = (lane, from, to) => {
+        lane.points = lane.points.filter(point => (from <= to)
+            ? !(point.pos > from && point.pos <= to)
+            : !(point.pos > from || point.pos <= to));
+    };
+
+    const record = (lane, value) => {
+        const pos = position();
+        const now = performance.now();
+        if (!overdub && !lane.touchedThisTake) {
+            lane.points = [];
+        }
+        lane.touchedThisTake = true;
+        if (lane.lastRecordPos !== null && now - lane.lastTouch < AUTOMATION_TOUCH_TIMEOUT) {
+            removeSpan(lane, lane.lastRecordPos, pos);
+        }
+        lane.points = lane.points.filter(point => point.pos !== pos);
+        lane.points.push({ pos, value });
+        lane.points.sort((a, b) => a.pos - b.pos);
+        lane.lastRecordPos = pos;
+        drawLane(lane);
+    };
+
+    // Our own playback writes come back through parameterChangeEvent too
+    const isPlayback = (param, value = param.value) => {
+        const lane = lanes[param.id];
+        return !!lane && lane.lastPlayedValue !== undefined && Math.abs(value - lane.lastPlayedValue) < 1e-6;
+    };
+
+    // A slider glide is recorded as its target, where the move was made
+    subscribeParamChanges(device, smoother, (param, value) => {
+        const lane = lanes[param.id];
+        if (!lane || isPlayback(param, value)) return;
+
+        if (recording && transport.running) record(lane, value);
+        lane.lastTouch = performance.now();
+    });
+
+    const tick = () => {
+        const pos = position();
+        const now = performance.now();
+        Object.values(lanes).forEach(lane => {
+            if (lane.ui) lane.ui.playhead.style.left = `${(pos / laneLength()) * 100}%`;
+            if (!lane.enabled || !lane.points.length) return;
+            if (now - lane.lastTouch < AUTOMATION_TOUCH_TIMEOUT) return;
+            const value = automationValueAt(lane.points, pos);
+            if (value === lane.lastPlayedValue) return;
+            lane.lastPlayedValue = value;
+            lane.param.value = value;
+        });
+    };
+
+    const updateTimer = () => {
+        if (transport.running && !timer) {
+            timer = setInterval(tick, AUTOMATION_TICK_INTERVAL);
+        } else if (!transport.running && timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+    transport.subscribe(updateTimer);
+
+    const setRecording = (on) => {
+        recording = on;
+        Object.values(lanes).forEach(lane => {
+            lane.touchedThisTake = false;
+            lane.lastRecordPos = null;
+        });
+        if (recordButton) recordButton.classList.toggle("active", on);
+        if (!on) save();
+    };
+
+    const makeLaneRow = (lane) => {
+        const row = document.createElement("div");
+        row.className = "automation-lane";
+
+        const name = document.createElement("span");
+        name.className = "param-label";
+        name.textContent = labels[lane.param.id] || lane.param.name;
+
+        const enable = document.createElement("input");
+        enable.type = "checkbox";
+        enable.checked = lane.enabled;
+        enable.setAttribute("aria-label", `Play back ${name.textContent} automation`);
+        enable.addEventListener("change", () => {
+            lane.enabled = enable.checked;
+            lane.lastPlayedValue = undefined;
+            drawLane(lane);
+            save();
+        });
+
+        const display = document.createElement("div");
+        display.className = "automation-display";
+        const canvas = document.createElement("canvas");
+        canvas.width = 240;
+        canvas.height = 32;
+        const playhead = document.createElement("div");
+        playhead.className = "automation-playhead";
+        display.appendChild(canvas);
+        display.appendChild(playhead);
+
+        const count = document.createElement("span");
+        count.className = "panel-status";
+
+        const clear = document.createElement("button");
+        clear.className = "small-button";
+        clear.textContent = "CLEAR";
+        clear.addEventListener("click", () => {
+            lane.points = [];
+            lane.lastPlayedValue = undefined;
+            drawLane(lane);
+            save();
+        });
+
+        row.appendChild(enable);
+        row.appendChild(name);
+        row.appendChild(display);
+        row.appendChild(count);
+        row.appendChild(clear);
+        lane.ui = { canvas, playhead, count };
+        return row;
+    };
+
+    if (lanesDiv) {
+        Object.values(lanes).forEach(lane => {
+            lanesDiv.appendChild(makeLaneRow(lane));
+            drawLane(lane);
+        });
+    }
+
+    if (recordButton) {
+        recordButton.addEventListener("click", () => setRecording(!recording));
+    }
+
+    if (overdubInput) {
+        overdubInput.checked = overdub;
+        overdubInput.addEventListener("change", () => {
+            overdub = overdubInput.checked;
+            save();
+        });
+    }
+
+    if (lengthSelect) {
+        lengthSelect.value = lengthBars;
+        lengthSelect.addEventListener("change", () => {
+            const newLength = Number.parseInt(lengthSelect.value, 10);
+            // Keep recorded moves at the same musical position
+            const maxPos = newLength * transport.barLength();
+            Object.values(lanes).forEach(lane => {
+                lane.points = lane.points.filter(point => point.pos < maxPos);
+            });
+            lengthBars = newLength;
+            Object.values(lanes).forEach(drawLane);
+            save();
+        });
+    }
+
+    updateTimer();
+
+    return {
+        isPlayback,
+
+        // The lanes that play back, for the offline bounce; positions are
+        // beats into a cycle of the returned length
+        getLanes() {
+            return {
+                length: laneLength(),
+                lanes: Object.values(lanes)
+                    .filter(lane => lane.enabled && lane.points.length)
+                    .map(lane => ({ id: lane.param.id, points: lane.points.slice() }))
+            };
+        }
+    };
+}
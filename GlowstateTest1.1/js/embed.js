@@ -0,0 +1,31 @@
+/**
+ * The one script another site needs for <glowstate-player>: loads the
+ * player's scripts from beside this one, in order. See js/player.js.
+ *
+ *   <script src="https://example.com/glowstate/js/embed.js"></script>
+ */
+
+(function () {
+    const base = new URL(".", document.currentScript.src).href;
+    const files = [
+        "transport.js",
+        "launch.js",
+        "loops.js",
+        "ui.js",
+        "loading.js",
+        "patchers.js",
+        "offline.js",
+        "player.js"
+    ];
+
+    const load = (file) => new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = base + file;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${script.src}`));
+        document.head.appendChild(script);
+    });
+
+    files.reduce((loaded, file) => loaded.then(() => load(file)), Promise.resolve())
+        .catch(err => console.error("<glowstate-player> couldn't start:", err));
+})();
@@ -1,102 +1,300 @@
 /**
- * This file just contains a bunch of checks to try to help you avoid some
- * common errors. You don't need to include this file in your project, but
- * you can if you want to.
+ * Diagnostics for common setup problems. guardrails() runs a set of
+ * environment checks (page protocol, audio context, AudioWorklet, Web MIDI,
+ * rnbo.js version, MIDI wiring) and lists their results, together with any
+ * errors the app reported, as errors or warnings in a panel in the corner
+ * of the page. COPY DIAGNOSTICS puts a JSON report on the clipboard for bug
+ * tickets.
+ *
+ * You don't need to include this file in your project, but you can if you
+ * want to. The app tells it what it has loaded with
+ * setGuardrailsEnvironment().
  */
 
+const GUARDRAILS_REPORT_TYPE = 'glowstate-diagnostics';
+const GUARDRAILS_COMMON_SAMPLE_RATES = [44100, 48000, 88200, 96000];
+
 const guardrailsErrors = [];
+const guardrailsEnvironment = {
+    context: null,
+    device: null,
+    patcher: null,
+    midiInputs: null,
+    controllerOnly: false
+};
+let guardrailsResults = [];
+let guardrailsPanel = null;
+
+const checkIfLocationIsFileURL = () => {
+    if (window.location.protocol !== 'file:') return null;
+    return {
+        level: 'error',
+        header: 'file:// access not supported',
+        description: 'In order for RNBO to work in the browser, the device has to be served' +
+        ' from a web server. That means that you can\'t just double-click the' +
+        ' index.html file. Check out README.md for instructions on how to run' +
+        ' a static web server.'
+    };
+};
+
+const checkAudioContext = ({ context }) => {
+    if (!context) return null;
+    if (context.state === 'closed') {
+        return {
+            level: 'error',
+            header: 'Audio context is closed',
+            description: 'The page can\'t make sound any more. Reload it.'
+        };
+    }
+    if (context.state === 'suspended') {
+        return {
+            level: 'warning',
+            header: 'Audio is paused',
+            description: 'Browsers only start audio after a click or tap. Click anywhere on the page.'
+        };
+    }
+    return null;
+};
+
+const checkSampleRate = ({ context }) => {
+    if (!context || GUARDRAILS_COMMON_SAMPLE_RATES.includes(context.sampleRate)) return null;
+    return {
+        level: 'warning',
+        header: `Unusual sample rate: ${context.sampleRate} Hz`,
+        description: 'The audio output runs at a rate the samples weren\'t made for, so they' +
+        ' are resampled on load. Set the output device to 44.1 or 48 kHz in your' +
+        ' system\'s sound settings if loops sound off.'
+    };
+};
+
+// A controller-only page makes no sound, so it doesn't need one
+const checkAudioWorklet = ({ context, controllerOnly }) => {
+    if (!context || context.audioWorklet || controllerOnly) return null;
+    return {
+        level: 'error',
+        header: 'AudioWorklet not supported',
+        description: 'This browser can\'t run audio code off the main thread, which RNBO devices' +
+        ' and the take recorder need. Use a current version of Chrome, Edge, Firefox or Safari,' +
+        ' and make sure the page is served over https or from localhost.'
+    };
+};
+
+const checkWebMIDI = async () => {
+    if (!navigator.requestMIDIAccess) {
+        return {
+            level: 'warning',
+            header: 'Web MIDI not available',
+            description: 'MIDI controllers and MIDI learn won\'t work in this browser. Chrome and' +
+            ' Edge support Web MIDI; Firefox asks for a site permission add-on.'
+        };
+    }
+    const permission = await guardrailsMIDIPermission();
+    if (permission === 'denied') {
+        return {
+            level: 'warning',
+            header: 'MIDI access denied',
+            description: 'MIDI was blocked for this site. Allow it in the browser\'s site settings' +
+            ' and reload to use MIDI controllers.'
+        };
+    }
+    return null;
+};
+
+const checkRNBOVersion = ({ patcher }) => {
+    if (!patcher || !window.RNBO || !RNBO.version) return null;
+    const expected = patcher.desc.meta.rnboversion;
+    if (RNBO.version === expected) return null;
+    return {
+        level: 'error',
+        header: 'RNBO version mismatch',
+        description: `The patcher was exported with RNBO v${expected}, but the page loaded` +
+        ` rnbo.js v${RNBO.version}. Export again with the matching version, or load the` +
+        ` matching rnbo.js (see README.md).`
+    };
+};
+
+const checkMIDIInputWiring = ({ device, midiInputs }) => {
+    if (!device || !midiInputs || device.numMidiInputPorts !== 0) return null;
+    return {
+        level: 'warning',
+        header: 'MIDI input has nowhere to go',
+        description: `${midiInputs} MIDI input${midiInputs === 1 ? ' is' : 's are'} connected, but the` +
+        ' patcher declares no MIDI inputs (numMidiInputPorts: 0). Only MIDI learn mappings' +
+        ' respond; add a notein or midiin object to the patch to play it directly.'
+    };
+};
+
+const guardrailsChecks = [
+    checkIfLocationIsFileURL,
+    checkAudioContext,
+    checkSampleRate,
+    checkAudioWorklet,
+    checkWebMIDI,
+    checkRNBOVersion,
+    checkMIDIInputWiring
+];
+
+// "granted", "prompt", "denied", or null where the browser won't say
+const guardrailsMIDIPermission = async () => {
+    if (!navigator.permissions) return null;
+    try {
+        return (await navigator.permissions.query({ name: 'midi' })).state;
+    } catch (e) {
+        return null;
+    }
+};
+
+const buildGuardrailsReport = async () => {
+    const { context, device, patcher, midiInputs } = guardrailsEnvironment;
+    return {
+        type: GUARDRAILS_REPORT_TYPE,
+        version: 1,
+        createdAt: new Date().toISOString(),
+        location: window.location.href,
+        userAgent: navigator.userAgent,
+        audio: context ? {
+            state: context.state,
+            sampleRate: context.sampleRate,
+            baseLatency: context.baseLatency,
+            outputLatency: context.outputLatency,
+            audioWorklet: !!context.audioWorklet
+        } : null,
+        midi: {
+            available: !!navigator.requestMIDIAccess,
+            permission: await guardrailsMIDIPermission(),
+            inputs: midiInputs
+        },
+        rnbo: {
+            loaded: window.RNBO ? RNBO.version || null : null,
+            patcher: patcher ? patcher.desc.meta.rnboversion : null
+        },
+        patcher: patcher ? {
+            filename: patcher.desc.meta.filename,
+            parameters: patcher.desc.parameters.length,
+            numMidiInputPorts: device ? device.numMidiInputPorts : null,
+            numMidiOutputPorts: device ? device.numMidiOutputPorts : null
+        } : null,
+        results: guardrailsResults.map(({ level, header, description }) => ({ level, header, description }))
+    };
+};
+
+const copyGuardrailsReport = async (setStatus) => {
+    const json = JSON.stringify(await buildGuardrailsReport(), null, 2);
+    try {
+        await navigator.clipboard.writeText(json);
+        setStatus('Copied to clipboard');
+    } catch (e) {
+        // Clipboard access needs a secure context and focus; a file works anywhere
+        if (typeof downloadBlob === 'function') {
+            downloadBlob(new Blob([json], { type: 'application/json' }), 'glowstate-diagnostics.json');
+            setStatus('Clipboard unavailable, downloaded instead');
+        } else {
+            console.log(json);
+            setStatus('Clipboard unavailable, report written to the console');
+        }
+    }
+};
+
+const makeGuardrailsPanel = () => {
+    const panel = document.createElement('aside');
+    panel.className = 'diagnostics';
+    panel.innerHTML = `<button class="diagnostics-toggle small-button" aria-expanded="false"></button>
+        <div class="diagnostics-body" hidden>
+            <ul class="diagnostics-list"></ul>
+            <div class="diagnostics-actions">
+                <button class="small-button diagnostics-copy">COPY DIAGNOSTICS</button>
+                <button class="small-button diagnostics-recheck">RECHECK</button>
+                <span class="panel-status"></span>
+            </div>
+        </div>`;
+    const toggle = panel.querySelector('.diagnostics-toggle');
+    const body = panel.querySelector('.diagnostics-body');
+    const status = panel.querySelector('.panel-status');
+    const setStatus = (text) => {
+        status.textContent = text;
+    };
+
+    const setOpen = (open) => {
+        body.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+    };
+    toggle.addEventListener('click', () => setOpen(body.hidden));
+    panel.querySelector('.diagnostics-copy').addEventListener('click', () => copyGuardrailsReport(setStatus));
+    panel.querySelector('.diagnostics-recheck').addEventListener('click', () => {
+        setStatus('');
+        guardrails();
+    });
+
+    (document.getElementById('rnbo-root') || document.body).appendChild(panel);
+    return { panel, toggle, list: panel.querySelector('.diagnostics-list'), setOpen, errorCount: 0 };
+};
+
+const displayGuardrailsResults = (results) => {
+    if (!guardrailsPanel) guardrailsPanel = makeGuardrailsPanel();
+    const { panel, toggle, list, setOpen } = guardrailsPanel;
+
+    const errors = results.filter(result => result.level === 'error').length;
+    const warnings = results.length - errors;
+    panel.classList.toggle('has-errors', errors > 0);
+    panel.classList.toggle('has-warnings', warnings > 0);
+    toggle.textContent = results.length
+        ? `DIAGNOSTICS · ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`
+        : 'DIAGNOSTICS · OK';
 
-const displayObtrusiveErrors = (errors) => {
-    if (errors.length <= 0) return;
-
-    const column = document.createElement('div');
-    column.setAttribute('style', 
-        `max-width: 560px;
-        display: flex;
-        justify-content: center;
-        align-items: center;
-        margin: 0 auto;
-        height: 100%;
-        position: absolute;
-        top: 0;
-        flex-direction: column;
-        `
-    );
-
-    errors.forEach(error => {
-        const { header, description } = error;
-        const container = document.createElement('div');
-        container.setAttribute(
-            'style',
-            `border-radius: 5px;
-            border: gray solid 1px;
-            width: 100%;
-            padding: 25px;
-            margin-bottom: 8px;
-            background-color: white;
-            background: #EA5050;
-            color: white;`
-        );
-        const h1 = document.createElement('h1');
-        h1.appendChild(document.createTextNode(header));
-        h1.setAttribute(
-            'style', 
-            `margin-bottom: 15px;
-            border-bottom: dashed 1px gray;
-            padding-bottom: 15px;`
-        );
-        const explainer = document.createElement('p');
-        explainer.appendChild(
-            document.createTextNode(
-                description
-            )
-        );
-    
-        column.appendChild(container);
-        container.appendChild(h1);
-        container.appendChild(explainer);
+    list.innerHTML = '';
+    results.forEach(({ level, header, description }) => {
+        const item = document.createElement('li');
+        item.className = `diagnostics-item ${level}`;
+        const title = document.createElement('strong');
+        title.textContent = header;
+        const text = document.createElement('p');
+        text.textContent = description;
+        item.appendChild(title);
+        item.appendChild(text);
+        list.appendChild(item);
     });
 
-    document.getElementById("rnbo-root").appendChild(column);
-
-    const svg = document.getElementById('background');
-    
-    svg.innerHTML =
-        `<defs>
-            <pattern id="polka-dots" x="0" y="0" width="100" height="100" patternUnits="userSpaceOnUse">
-                
-            <g transform="scale(0.3 0.3) translate(150 50)">
-                <path d="M262.7,294l-13.83-7.18a7.13,7.13,0,0,1-3.15-9.57L302.39,146.4a7.12,7.12,0,0,1,9.64-2.92l31.58,16.39a7.13,7.13,0,0,1,3.16,9.57L272.34,291.08A7.11,7.11,0,0,1,262.7,294Z" transform="translate(-221.01 -142.15)" style="fill: #fbd7e7;stroke: #fff;stroke-miterlimit: 10"/>
-                <rect x="222.8" y="303.08" width="34.77" height="34.77" rx="13.67" transform="translate(-46.33 -216.77) rotate(27.44)" style="fill: #fbd7e7;stroke: #fff;stroke-miterlimit: 10"/>
-            </g>
-                
-            </pattern>
-        </defs>
-    
-        <rect x="0" y="0" width="100%" height="100%" fill="url(#polka-dots)"></rect>`;
-};
-
-const checkIfLocationIsFileURL = (errors) => {
-    if (window.location.protocol === 'file:') {
-        errors.push({
-            header: 'file:// access not supported',
-            description: 'In order for RNBO to work in the browser, the device has to be served' +
-            ' from a web server. That means that you can\'t just double-click the' +
-            ' index.html file. Check out README.md for instructions on how to run' +
-            ' a static web server.'
-        });
+    // New errors open the panel; warnings wait to be looked at
+    if (errors > guardrailsPanel.errorCount) setOpen(true);
+    guardrailsPanel.errorCount = errors;
+};
+
+// Queues an error to be shown the next time guardrails() runs. Pass
+// level: 'warning' for problems the app can carry on with, and a scope to
+// clear it again with clearGuardrailsErrors().
+const addGuardrailsError = (errorContext) => {
+    const finalErrorContext = Object.assign({
+        level: 'error',
+        header: `Error during setup`,
+        description: `${errorContext.error}`
+    }, errorContext);
+    guardrailsErrors.push(finalErrorContext);
+};
+
+// Drops the queued errors that were added with this scope, e.g. 'patcher'
+// for those about an export that has since been replaced
+const clearGuardrailsErrors = (scope) => {
+    for (let i = guardrailsErrors.length - 1; i >= 0; i--) {
+        if (guardrailsErrors[i].scope === scope) guardrailsErrors.splice(i, 1);
     }
 };
 
-const guardrails = (errorContext) => {
+// Tells the checks what the app has loaded, e.g. { context, device, patcher }
+// or { midiInputs }, and runs them again
+const setGuardrailsEnvironment = (environment) => {
+    if (environment.context && environment.context !== guardrailsEnvironment.context) {
+        environment.context.addEventListener('statechange', () => guardrails());
+    }
+    Object.assign(guardrailsEnvironment, environment);
+    return guardrails();
+};
+
+const guardrails = async (errorContext) => {
     if (errorContext) {
-        const finalErrorContext = Object.assign({
-            header: `Error during setup`,
-            description: `${errorContext.error}`
-        }, errorContext);
-        guardrailsErrors.push(finalErrorContext);
+        addGuardrailsError(errorContext);
     }
 
-    checkIfLocationIsFileURL(guardrailsErrors);
-    displayObtrusiveErrors(guardrailsErrors);
-}
\ No newline at end of file
+    const checked = await Promise.all(guardrailsChecks.map(check => check(guardrailsEnvironment)));
+    guardrailsResults = guardrailsErrors.concat(checked.filter(Boolean));
+    displayGuardrailsResults(guardrailsResults);
+};
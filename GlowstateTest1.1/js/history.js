@@ -0,0 +1,322 @@
+/**
+ * Undo history and A/B compare. Every change to the device's parameters or
+ * the selected loop becomes a step, whether it came from the panel, MIDI, a
+ * macro or a preset. Changes made while a pointer is held down, or close
+ * after one another, are grouped, so a slider drag or a preset load is one
+ * step. CTRL+Z undoes and CTRL+SHIFT+Z or CTRL+Y redoes (CMD on a Mac);
+ * clicking a step in the HISTORY list jumps back or forward to it.
+ * Automation playback isn't recorded.
+ *
+ * A and B are two snapshots of the whole sound. A/B keeps the current sound
+ * in the active slot and switches to the other one, so two settings can be
+ * compared while tweaking either; the first switch starts B as a copy of A.
+ */
+
+const HISTORY_LIMIT = 100;
+// A step is closed once nothing has changed for this long (ms)
+const HISTORY_GROUP_IDLE = 600;
+const HISTORY_LOOP_KEY = "loop";
+
+function makeHistory(device, parameterItems, loopControls, patternParam, automation, smoother) {
+    const listDiv = document.getElementById("history-list");
+    const undoButton = document.getElementById("history-undo-button");
+    const redoButton = document.getElementById("history-redo-button");
+    const abButton = document.getElementById("history-ab-button");
+    const copyButton = document.getElementById("history-ab-copy-button");
+    const statusText = document.getElementById("history-status");
+
+    const params = device.parameters.filter(param => param.id !== patternParam);
+    const pattern = device.parameters.find(param => param.id === patternParam);
+    const items = {};
+    parameterItems.forEach(item => { items[item.id] = item; });
+
+    // Each step holds the values it changed, before and after
+    const steps = [];
+    // How many of the steps are applied; the rest can be redone
+    let position = 0;
+    let open = null;
+    let idleTimer = null;
+    let holding = false;
+    let applying = false;
+    const slots = { A: null, B: null };
+    let activeSlot = "A";
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    const capture = () => {
+        const state = {};
+        params.forEach(param => { state[param.id] = param.value; });
+        if (loopControls) state[HISTORY_LOOP_KEY] = loopControls.currentLoop;
+        return state;
+    };
+    let current = capture();
+
+    const sameValue = (a, b) => a === b || (typeof a === "number" && typeof b === "number" && Math.abs(a - b) < 1e-6);
+
+    const describeValue = (key, value) => {
+        if (key === HISTORY_LOOP_KEY) {
+            const button = loopControls && loopControls.buttons[value];
+            return button ? button.textContent : `LOOP ${value}`;
+        }
+        const item = items[key];
+        if (item) return `${item.label} ${formatParamValue(item, value)}`;
+        return `${key} ${Number(value.toFixed(3))}`;
+    };
+
+    const describeStep = (after) => {
+        const keys = Object.keys(after);
+        return keys.length === 1 ? describeValue(keys[0], after[keys[0]]) : `${keys.length} changes`;
+    };
+
+    // ---- Recording ----
+
+    const push = (step) => {
+        steps.splice(position);
+        steps.push(step);
+        if (steps.length > HISTORY_LIMIT) steps.shift();
+        position = steps.length;
+        render();
+    };
+
+    const close = () => {
+        clearTimeout(idleTimer);
+        idleTimer = null;
+        if (!open) return;
+        const step = open;
+        open = null;
+        // A control moved away and back again has nothing to undo
+        Object.keys(step.after).forEach(key => {
+            if (sameValue(step.before[key], step.after[key])) {
+                delete step.before[key];
+                delete step.after[key];
+            }
+        });
+        if (!Object.keys(step.after).length) return;
+        step.label = describeStep(step.after);
+        push(step);
+    };
+
+    const closeSoon = () => {
+        clearTimeout(idleTimer);
+        idleTimer = holding ? null : setTimeout(close, HISTORY_GROUP_IDLE);
+    };
+
+    const change = (key, value) => {
+        if (!open) open = { before: {}, after: {} };
+        if (!(key in open.before)) open.before[key] = current[key];
+        open.after[key] = value;
+        current[key] = value;
+        closeSoon();
+    };
+
+    // Values we set ourselves may come back through here later, and are
+    // dropped because they match what is stored
+    subscribeParamChanges(device, smoother, (param, value) => {
+        if (applying) return;
+        let key = param.id;
+        if (param === pattern) {
+            // 0 is STOP, which isn't part of the sound
+            if (value <= 0 || !loopControls) return;
+            key = HISTORY_LOOP_KEY;
+        } else if (!(key in current)) {
+            return;
+        }
+        if (sameValue(current[key], value)) return;
+        if (automation && automation.isPlayback(param, value)) {
+            current[key] = value;
+            return;
+        }
+        change(key, value);
+    });
+
+    // ---- Applying ----
+
+    // Straight onto the parameters, without smoothing, so the moves don't
+    // come back as new steps. A glide still under way is dropped, or it would
+    // carry on toward the value being undone
+    const apply = (values) => {
+        applying = true;
+        try {
+            Object.keys(values).forEach(key => {
+                const value = values[key];
+                if (key === HISTORY_LOOP_KEY) {
+                    if (!loopControls || !loopControls.buttons[value]) return;
+                    if (pattern && pattern.value > 0) loopControls.applyLoop(value); else loopControls.cueLoop(value);
+                } else {
+                    const param = params.find(p => p.id === key);
+                    if (param) {
+                        if (smoother) smoother.cancel(param);
+                        param.value = clampParamValue(param, value);
+                    }
+                }
+                current[key] = value;
+            });
+        } finally {
+            applying = false;
+        }
+    };
+
+    const undo = () => {
+        close();
+        if (position === 0) return false;
+        const step = steps[--position];
+        apply(step.before);
+        render();
+        setStatus(`Undid ${step.label}`);
+        announce(`Undid ${step.label}`);
+        return true;
+    };
+
+    const redo = () => {
+        close();
+        if (position >= steps.length) return false;
+        const step = steps[position++];
+        apply(step.after);
+        render();
+        setStatus(`Redid ${step.label}`);
+        announce(`Redid ${step.label}`);
+        return true;
+    };
+
+    // Goes to the point after the given number of steps
+    const jumpTo = (target) => {
+        close();
+        while (position > target && undo());
+        while (position < target && redo());
+    };
+
+    // ---- A/B ----
+
+    const renderSlots = () => {
+        if (abButton) {
+            abButton.innerHTML = "";
+            ["A", "B"].forEach((slot, index) => {
+                if (index) abButton.appendChild(document.createTextNode(" / "));
+                const label = document.createElement("span");
+                label.className = "ab-slot";
+                label.classList.toggle("active", slot === activeSlot);
+                label.textContent = slot;
+                abButton.appendChild(label);
+            });
+            abButton.setAttribute("aria-label", `Compare A and B, ${activeSlot} playing`);
+        }
+        if (copyButton) copyButton.textContent = `COPY TO ${activeSlot === "A" ? "B" : "A"}`;
+    };
+
+    const switchSlot = () => {
+        close();
+        const previous = activeSlot;
+        const other = previous === "A" ? "B" : "A";
+        slots[previous] = Object.assign({}, current);
+        const target = slots[other] || Object.assign({}, current);
+        slots[other] = target;
+
+        const step = { before: {}, after: {}, label: `Switch to ${other}` };
+        Object.keys(target).forEach(key => {
+            if (sameValue(current[key], target[key])) return;
+            step.before[key] = current[key];
+            step.after[key] = target[key];
+        });
+        apply(step.after);
+        if (Object.keys(step.after).length) push(step);
+
+        activeSlot = other;
+        renderSlots();
+        setStatus(Object.keys(step.after).length ? `Playing ${other}` : `Playing ${other}, a copy of ${previous} so far`);
+        announce(`${other} playing`);
+    };
+
+    if (abButton) abButton.addEventListener("click", switchSlot);
+
+    if (copyButton) {
+        copyButton.addEventListener("click", () => {
+            close();
+            const other = activeSlot === "A" ? "B" : "A";
+            slots[other] = Object.assign({}, current);
+            setStatus(`Copied ${activeSlot} to ${other}`);
+        });
+    }
+
+    // ---- List ----
+
+    const render = () => {
+        if (undoButton) undoButton.disabled = position === 0;
+        if (redoButton) redoButton.disabled = position >= steps.length;
+        if (!listDiv) return;
+        listDiv.innerHTML = "";
+        [{ label: "Start" }].concat(steps).forEach((step, index) => {
+            const entry = document.createElement("li");
+            const button = document.createElement("button");
+            button.className = "history-step";
+            button.classList.toggle("active", index === position);
+            button.classList.toggle("undone", index > position);
+            if (index === position) button.setAttribute("aria-current", "step");
+            button.textContent = step.label;
+            button.addEventListener("click", () => jumpTo(index));
+            entry.appendChild(button);
+            listDiv.appendChild(entry);
+        });
+        const active = listDiv.querySelector(".history-step.active");
+        if (active) active.scrollIntoView({ block: "nearest" });
+    };
+
+    if (undoButton) undoButton.addEventListener("click", undo);
+    if (redoButton) redoButton.addEventListener("click", redo);
+
+    renderSlots();
+    render();
+
+    return {
+        undo,
+        redo,
+
+        // While a pointer is down the open step stays open, however long a
+        // drag pauses
+        hold(down) {
+            holding = down;
+            if (open) closeSoon();
+        },
+
+        // Starts again from the current values, e.g. once a patcher switch
+        // has carried the old device's values over
+        clear() {
+            clearTimeout(idleTimer);
+            open = null;
+            steps.length = 0;
+            position = 0;
+            current = capture();
+            slots.A = null;
+            slots.B = null;
+            activeSlot = "A";
+            renderSlots();
+            render();
+        }
+    };
+}
+
+// CTRL+Z and pointer tracking for whichever patcher is loaded. Text boxes
+// keep their own undo.
+function makeHistoryKeys(getSession) {
+    const history = () => getSession().history;
+
+    document.addEventListener("keydown", (ev) => {
+        if (!(ev.ctrlKey || ev.metaKey) || ev.altKey) return;
+        const key = ev.key.toLowerCase();
+        if (key !== "z" && key !== "y") return;
+        const target = ev.target;
+        if (target.isContentEditable || target.closest("textarea")) return;
+        if (target.tagName === "INPUT" && !["range", "checkbox", "button"].includes(target.type)) return;
+        if (!history()) return;
+        ev.preventDefault();
+        if (key === "y" || ev.shiftKey) history().redo(); else history().undo();
+    });
+
+    const hold = (down) => () => {
+        if (history()) history().hold(down);
+    };
+    document.addEventListener("pointerdown", hold(true), true);
+    document.addEventListener("pointerup", hold(false), true);
+    document.addEventListener("pointercancel", hold(false), true);
+}
@@ -0,0 +1,164 @@
+/**
+ * Launch quantization: while the transport runs, loop changes and
+ * PLAY/STOP are queued until the next beat or bar boundary instead of
+ * cutting the groove mid-bar. Each kind of action has a single queue slot,
+ * so a newer press replaces the queued one, and pressing a queued button
+ * again cancels it.
+ *
+ * An action can come with a send(time) that hands its change to the device
+ * as RNBO events stamped with the launch point on the audio clock (in ms),
+ * so it lands on the exact sample. They are sent LAUNCH_SCHEDULE_AHEAD
+ * before the launch point, after which the change can no longer be called
+ * off; the action itself then runs once the point has passed, to update the
+ * page. Actions without one run on the timer, up to LAUNCH_LOOKAHEAD early.
+ */
+
+const LAUNCH_QUANTIZE_STORAGE_KEY = "glowstate.launchQuantize";
+
+// Quantization modes and the grid they snap to, in bars (or one beat)
+const LAUNCH_QUANTIZE_MODES = {
+    immediate: null,
+    beat: { beats: 1 },
+    bar: { bars: 1 },
+    bar2: { bars: 2 },
+    bar4: { bars: 4 }
+};
+
+// Actions due within this many seconds fire on the current timer tick
+const LAUNCH_LOOKAHEAD = 0.01;
+// Timestamped events go to the device this many seconds ahead
+const LAUNCH_SCHEDULE_AHEAD = 0.1;
+const LAUNCH_MAX_TIMER_INTERVAL = 50;
+
+function makeLaunchQuantizer(transport, context, root = document) {
+    const modeSelect = root.getElementById("launch-quantize-select");
+    const pending = new Map();
+    let timer = null;
+
+    const storedMode = localStorage.getItem(LAUNCH_QUANTIZE_STORAGE_KEY);
+    let mode = storedMode in LAUNCH_QUANTIZE_MODES ? storedMode : "bar";
+
+    const gridLength = () => {
+        const grid = LAUNCH_QUANTIZE_MODES[mode];
+        if (!grid) return 0;
+        return grid.bars ? grid.bars * transport.barLength() : grid.beats * transport.beatLength();
+    };
+
+    const clearQueued = (entry) => {
+        if (entry.element) entry.element.classList.remove("queued");
+    };
+
+    const arm = () => {
+        clearTimeout(timer);
+        timer = null;
+        if (!pending.size) return;
+
+        const wake = Math.min(...Array.from(pending.values(), wakeTime));
+        const delay = (wake - context.currentTime) * 1000;
+        timer = setTimeout(tick, Math.min(Math.max(delay, 0), LAUNCH_MAX_TIMER_INTERVAL));
+    };
+
+    // Audio time of the launch point; once sent, it is where the device has it
+    const launchTime = (entry) => entry.sentTime !== undefined ? entry.sentTime : transport.timeAtBeat(entry.targetBeat);
+
+    // When the timer next has something to do for an entry
+    const wakeTime = (entry) => {
+        if (entry.send && entry.sentTime === undefined) return launchTime(entry) - LAUNCH_SCHEDULE_AHEAD;
+        return launchTime(entry) - (entry.send ? 0 : LAUNCH_LOOKAHEAD);
+    };
+
+    const tick = () => {
+        pending.forEach(entry => {
+            if (!entry.send || entry.sentTime !== undefined) return;
+            if (launchTime(entry) - context.currentTime > LAUNCH_SCHEDULE_AHEAD) return;
+            entry.sentTime = Math.max(launchTime(entry), context.currentTime);
+            entry.send(entry.sentTime * 1000);
+        });
+        const due = Array.from(pending.entries())
+            .filter(([, entry]) => wakeTime(entry) <= context.currentTime && (!entry.send || entry.sentTime !== undefined));
+        // Drop each entry before running it: its action may itself change the transport
+        due.forEach(([key, entry]) => {
+            pending.delete(key);
+            clearQueued(entry);
+        });
+        due.forEach(([, entry]) => entry.action());
+        arm();
+    };
+
+    const quantizer = {
+        get mode() { return mode; },
+
+        setMode(newMode) {
+            if (!(newMode in LAUNCH_QUANTIZE_MODES)) return;
+            mode = newMode;
+            localStorage.setItem(LAUNCH_QUANTIZE_STORAGE_KEY, mode);
+            if (modeSelect) modeSelect.value = mode;
+        },
+
+        // Runs action now, or on the next grid line if the transport is
+        // running. element (optional) flashes while the action is queued;
+        // send (optional) sends the change to the device ahead of time.
+        schedule(key, action, element, send) {
+            const grid = gridLength();
+            if (!transport.running || !grid) {
+                quantizer.cancel(key);
+                action();
+                return;
+            }
+            quantizer.scheduleAt(key, quantizer.nextGridBeat(grid), action, element, send);
+        },
+
+        // Queues action for an explicit beat time, ignoring the launch mode
+        scheduleAt(key, targetBeat, action, element, send) {
+            // One the device already has still runs, under a key of its own
+            const previous = pending.get(key);
+            if (previous && previous.sentTime !== undefined) {
+                pending.delete(key);
+                pending.set(Symbol(key), previous);
+            }
+            quantizer.cancel(key);
+            const entry = { targetBeat, action, element, send };
+            pending.set(key, entry);
+            if (element) element.classList.add("queued");
+            arm();
+        },
+
+        // First multiple of grid (in quarter notes) strictly after now
+        nextGridBeat(grid) {
+            const now = transport.getBeatTime();
+            return (Math.floor(now / grid + 1e-9) + 1) * grid;
+        },
+
+        // An entry already sent to the device is only dropped when the
+        // transport stops; it has to play out otherwise
+        cancel(key, force = false) {
+            const entry = pending.get(key);
+            if (!entry || (entry.sentTime !== undefined && !force)) return;
+            pending.delete(key);
+            clearQueued(entry);
+            arm();
+        },
+
+        isQueued(key, element) {
+            const entry = pending.get(key);
+            return !!entry && (element === undefined || entry.element === element);
+        }
+    };
+
+    // Nothing can reach its launch point once the clock stops, and a tempo
+    // change moves the point in audio time
+    transport.subscribe(() => {
+        if (!transport.running) {
+            Array.from(pending.keys()).forEach(key => quantizer.cancel(key, true));
+        } else {
+            arm();
+        }
+    });
+
+    if (modeSelect) {
+        modeSelect.value = mode;
+        modeSelect.addEventListener("change", () => quantizer.setMode(modeSelect.value));
+    }
+
+    return quantizer;
+}
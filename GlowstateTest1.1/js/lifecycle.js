@@ -0,0 +1,234 @@
+/**
+ * Audio lifecycle. Browsers stop the AudioContext on their own: iOS
+ * interrupts it for a call or an output change, and the context can be
+ * suspended when the tab goes to the background or the device sleeps. The
+ * context's state and the page's visibility are watched, and PLAY/STOP are
+ * kept showing what is really heard. While the transport runs on a stopped
+ * context, an overlay covers the page until a tap resumes it, which picks up
+ * from the same position.
+ *
+ * A Screen Wake Lock keeps the screen on while playing, where the browser
+ * has one. IN BACKGROUND picks whether playback carries on or pauses while
+ * the tab is hidden; a pause is undone when the tab comes back. Settings are
+ * kept in localStorage.
+ */
+
+const LIFECYCLE_STORAGE_KEY = "glowstate.lifecycle";
+
+function loadLifecycleSettings() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(LIFECYCLE_STORAGE_KEY));
+    } catch (e) {}
+    const settings = Object.assign({ background: "keep", wakeLock: true }, stored);
+    if (!["keep", "pause"].includes(settings.background)) settings.background = "keep";
+    return settings;
+}
+
+// A controller makes no sound, so it only keeps its screen on
+function makeAudioLifecycle(context, getSession, controllerOnly) {
+    const overlay = document.getElementById("resume-overlay");
+    const reasonText = document.getElementById("resume-reason");
+    const stopButton = document.getElementById("resume-stop-button");
+    const backgroundSelect = document.getElementById("lifecycle-background-select");
+    const wakeLockCheckbox = document.getElementById("lifecycle-wake-lock");
+    const statusText = document.getElementById("lifecycle-status");
+
+    const settings = loadLifecycleSettings();
+    const canWakeLock = "wakeLock" in navigator;
+    let wakeLock = null;
+    let requestingWakeLock = false;
+    let pausedInBackground = false;
+    let suspendedWhileHidden = false;
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    const save = () => {
+        localStorage.setItem(LIFECYCLE_STORAGE_KEY, JSON.stringify(settings));
+    };
+
+    const audible = () => controllerOnly || context.state === "running";
+
+    const describeStop = () => {
+        if (context.state === "interrupted") return "Another app or a call took over the audio output.";
+        if (pausedInBackground) return "Paused while the tab was in the background.";
+        if (suspendedWhileHidden) return "The browser paused the audio while the tab was in the background.";
+        return "The browser paused the audio.";
+    };
+
+    // ---- Wake lock ----
+
+    const releaseWakeLock = () => {
+        if (!wakeLock) return;
+        wakeLock.release().catch(() => {});
+        wakeLock = null;
+    };
+
+    const requestWakeLock = async () => {
+        requestingWakeLock = true;
+        try {
+            const sentinel = await navigator.wakeLock.request("screen");
+            // The browser lets go of it by itself when the tab is hidden
+            sentinel.addEventListener("release", () => {
+                if (wakeLock === sentinel) wakeLock = null;
+                describe();
+            });
+            wakeLock = sentinel;
+        } catch (err) {
+            setStatus(`Screen may sleep: ${err.message}`);
+            return;
+        } finally {
+            requestingWakeLock = false;
+        }
+        // Playback may have stopped while the request was out
+        reconcile();
+    };
+
+    const describe = () => {
+        if (!audible()) {
+            setStatus(`Audio ${context.state}`);
+        } else if (wakeLock) {
+            setStatus("Keeping the screen on");
+        } else if (settings.wakeLock && !canWakeLock) {
+            setStatus("This browser can't keep the screen on");
+        } else {
+            setStatus("");
+        }
+    };
+
+    // ---- Reconciling ----
+
+    // Brings the buttons, overlay and wake lock in line with the transport
+    // and the context as they are now
+    const reconcile = () => {
+        const session = getSession();
+        if (!session) return;
+        const { transport, transportControls } = session;
+        const playing = transport.running && audible();
+
+        if (transportControls && !controllerOnly) transportControls.setPressed(playing);
+
+        const stalled = transport.running && !audible() && !document.hidden;
+        if (overlay) {
+            if (stalled && reasonText) reasonText.textContent = describeStop();
+            if (stalled && overlay.hidden) announce("Audio paused. Tap to resume.");
+            overlay.hidden = !stalled;
+        }
+
+        const wantWakeLock = settings.wakeLock && canWakeLock && playing && !document.hidden;
+        if (wantWakeLock && !wakeLock && !requestingWakeLock) {
+            requestWakeLock();
+        } else if (!wantWakeLock) {
+            releaseWakeLock();
+        }
+        describe();
+    };
+
+    // After whatever changed the transport has set its own buttons
+    const reconcileSoon = () => queueMicrotask(reconcile);
+
+    const resume = async () => {
+        try {
+            await context.resume();
+        } catch (err) {
+            setStatus(`Couldn't resume audio: ${err.message}`);
+        }
+        if (context.state === "running") {
+            pausedInBackground = false;
+            suspendedWhileHidden = false;
+        }
+        reconcile();
+    };
+
+    context.addEventListener("statechange", () => {
+        if (context.state !== "running" && document.hidden) suspendedWhileHidden = true;
+        reconcile();
+    });
+
+    document.addEventListener("visibilitychange", () => {
+        if (controllerOnly) {
+            reconcile();
+            return;
+        }
+        const session = getSession();
+        if (document.hidden) {
+            if (settings.background === "pause" && session && session.transport.running && context.state === "running") {
+                pausedInBackground = true;
+                context.suspend();
+            }
+        } else if (pausedInBackground) {
+            // Coming back undoes our own pause; if the browser wants a tap
+            // first, the overlay asks for one
+            resume();
+            return;
+        }
+        reconcile();
+    });
+
+    // ---- Overlay ----
+
+    // A tap anywhere on it resumes, RESUME being the obvious place
+    if (overlay) {
+        overlay.addEventListener("click", (ev) => {
+            if (ev.target !== stopButton) resume();
+        });
+    }
+
+    // Stops straight away: the launch grid can't be reached on a stopped clock
+    if (stopButton) {
+        stopButton.addEventListener("click", () => {
+            const session = getSession();
+            pausedInBackground = false;
+            if (session && session.transportControls) {
+                session.transportControls.stop();
+            } else if (session) {
+                session.transport.setRunning(false);
+            }
+            reconcile();
+        });
+    }
+
+    // Browsers only start audio from a user gesture, so the first click or
+    // touch anywhere on the page resumes it
+    const startAudioContext = async () => {
+        if (context.state !== "running") await resume();
+    };
+    document.body.addEventListener("click", startAudioContext);
+    document.body.addEventListener("touchstart", startAudioContext, { once: true });
+
+    // ---- Settings ----
+
+    if (backgroundSelect) {
+        backgroundSelect.value = settings.background;
+        backgroundSelect.disabled = controllerOnly;
+        backgroundSelect.addEventListener("change", () => {
+            settings.background = backgroundSelect.value;
+            save();
+        });
+    }
+
+    if (wakeLockCheckbox) {
+        wakeLockCheckbox.checked = settings.wakeLock;
+        wakeLockCheckbox.disabled = !canWakeLock;
+        if (!canWakeLock) wakeLockCheckbox.parentElement.title = "This browser can't keep the screen on";
+        wakeLockCheckbox.addEventListener("change", () => {
+            settings.wakeLock = wakeLockCheckbox.checked;
+            save();
+            reconcile();
+        });
+    }
+
+    return {
+        resume,
+
+        // Called with each session mountPatcher builds
+        attach(session) {
+            session.transport.subscribe(() => {
+                if (getSession() === session) reconcileSoon();
+            });
+            reconcileSoon();
+        }
+    };
+}
@@ -0,0 +1,100 @@
+/**
+ * AudioWorklet side of the master limiter, a stereo-linked lookahead peak
+ * limiter. The input is delayed by `delay` frames, the lookahead. The gain
+ * for each frame is the smallest gain any frame in the lookahead window
+ * needs to stay under the ceiling, let back up at the release rate and then
+ * averaged over the same window. Every gain in that average is at most what
+ * the frame leaving the delay line needs, so no sample goes over the
+ * ceiling. About every LIMITER_REPORT_SECONDS the deepest gain reduction is
+ * posted to the main thread as { reduction } in dB.
+ */
+
+const LIMITER_REPORT_SECONDS = 0.05;
+
+class GlowstateLimiterProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { ceiling, delay, release } = options.processorOptions;
+        this.ceiling = ceiling;
+        this.size = delay + 1;
+        this.releaseCoef = 1 - Math.exp(-1 / (release * sampleRate));
+
+        this.lines = [new Float32Array(this.size), new Float32Array(this.size)];
+        // Gain each frame needs on its own, and the frames in the window
+        // that could still be the smallest, oldest first
+        this.needed = new Float32Array(this.size);
+        this.queue = new Float64Array(this.size);
+        this.queueHead = 0;
+        this.queueCount = 0;
+        // The gains being averaged
+        this.held = new Float32Array(this.size).fill(1);
+        this.heldSum = this.size;
+        this.gain = 1;
+        this.frame = 0;
+
+        this.reportFrames = Math.round(LIMITER_REPORT_SECONDS * sampleRate);
+        this.reportCountdown = this.reportFrames;
+        this.lowestGain = 1;
+    }
+
+    // Smallest gain needed by the last `size` frames, this one included
+    windowMinimum(need) {
+        const { size, needed, queue } = this;
+        const frame = this.frame;
+        if (this.queueCount && queue[this.queueHead] <= frame - size) {
+            this.queueHead = (this.queueHead + 1) % size;
+            this.queueCount--;
+        }
+        needed[frame % size] = need;
+        while (this.queueCount && needed[queue[(this.queueHead + this.queueCount - 1) % size] % size] >= need) {
+            this.queueCount--;
+        }
+        queue[(this.queueHead + this.queueCount) % size] = frame;
+        this.queueCount++;
+        return needed[queue[this.queueHead] % size];
+    }
+
+    process(inputs, outputs) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const frames = output[0].length;
+        const { size, lines, held } = this;
+
+        for (let i = 0; i < frames; i++) {
+            const slot = this.frame % size;
+            const oldest = (this.frame + 1) % size;
+
+            let peak = 0;
+            for (let c = 0; c < 2; c++) {
+                // A mono input goes to both sides, and no input is silence
+                const channel = input.length ? input[Math.min(c, input.length - 1)] : null;
+                const sample = channel ? channel[i] : 0;
+                lines[c][slot] = sample;
+                peak = Math.max(peak, Math.abs(sample));
+            }
+
+            const need = peak > this.ceiling ? this.ceiling / peak : 1;
+            this.gain = Math.min(this.windowMinimum(need), this.gain + (1 - this.gain) * this.releaseCoef);
+            this.heldSum += this.gain - held[slot];
+            held[slot] = this.gain;
+            const gain = Math.min(1, this.heldSum / size);
+
+            for (let c = 0; c < output.length; c++) {
+                output[c][i] = lines[Math.min(c, 1)][oldest] * gain;
+            }
+
+            this.lowestGain = Math.min(this.lowestGain, gain);
+            this.frame++;
+        }
+
+        this.reportCountdown -= frames;
+        if (this.reportCountdown <= 0) {
+            this.port.postMessage({ reduction: 20 * Math.log10(this.lowestGain) });
+            this.reportCountdown += this.reportFrames;
+            this.lowestGain = 1;
+        }
+        return true;
+    }
+}
+
+registerProcessor("glowstate-limiter", GlowstateLimiterProcessor);
@@ -0,0 +1,171 @@
+/**
+ * Loading screen and resilient fetching for patcher dependencies. Sample
+ * files are downloaded here rather than by the device, so every file gets
+ * its own byte progress bar and failed downloads are retried with backoff.
+ * The downloaded data goes to device.loadDataBufferDependencies() as blob
+ * URLs, and its per-buffer results are merged with the download failures
+ * into one result per buffer.
+ *
+ * fetchWithRetry is also used by the service worker, so this file must not
+ * touch the DOM at load time.
+ */
+
+const FETCH_RETRIES = 3;
+const FETCH_RETRY_BASE_DELAY = 500;
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Reads the body chunk by chunk so onProgress(loaded, total) can follow it;
+// total is 0 when the server doesn't send a length
+async function readWithProgress(response, onProgress) {
+    const total = Number.parseInt(response.headers.get("Content-Length"), 10) || 0;
+    if (!response.body || !response.body.getReader) {
+        const blob = await response.blob();
+        onProgress(blob.size, blob.size);
+        return blob;
+    }
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        onProgress(loaded, total);
+    }
+    return new Blob(chunks, { type: response.headers.get("Content-Type") || "" });
+}
+
+// Network errors and server errors are retried after 0.5s, 1s, 2s; a
+// missing file (4xx) fails straight away
+async function fetchWithRetry(url, onProgress = () => {}, onRetry = () => {}) {
+    for (let attempt = 0; ; attempt++) {
+        let retryable = true;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                retryable = response.status >= 500;
+                throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+            }
+            return await readWithProgress(response, onProgress);
+        } catch (err) {
+            if (!retryable || attempt >= FETCH_RETRIES) throw err;
+            const delay = FETCH_RETRY_BASE_DELAY * Math.pow(2, attempt);
+            onRetry(attempt + 1, delay, err);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+function makeLoadingScreen(root = document) {
+    const screen = root.getElementById("loading-screen");
+    const stepText = root.getElementById("loading-step");
+    const filesDiv = root.getElementById("loading-files");
+
+    const setStep = (text) => {
+        if (stepText) stepText.textContent = text;
+    };
+
+    // One row per file with a progress bar and a byte count
+    const addFile = (name) => {
+        if (!filesDiv) return { progress() {}, retry() {}, done() {}, fail() {} };
+        const row = document.createElement("div");
+        row.className = "loading-file";
+        const label = document.createElement("span");
+        label.className = "param-label";
+        label.textContent = name;
+        const bar = document.createElement("progress");
+        bar.className = "loading-progress";
+        bar.max = 1;
+        const bytes = document.createElement("span");
+        bytes.className = "panel-status";
+        row.appendChild(label);
+        row.appendChild(bar);
+        row.appendChild(bytes);
+        filesDiv.appendChild(row);
+
+        return {
+            progress(loaded, total) {
+                if (total) {
+                    bar.value = loaded / total;
+                    bytes.textContent = `${formatBytes(loaded)} / ${formatBytes(total)}`;
+                } else {
+                    // Without a length the bar can only show that something is happening
+                    bar.removeAttribute("value");
+                    bytes.textContent = formatBytes(loaded);
+                }
+            },
+            retry(attempt, delay) {
+                bytes.textContent = `Retry ${attempt} of ${FETCH_RETRIES} in ${delay / 1000}s…`;
+            },
+            done() {
+                bar.value = 1;
+            },
+            fail(message) {
+                row.classList.add("error");
+                bytes.textContent = message;
+            }
+        };
+    };
+
+    return {
+        show() {
+            if (filesDiv) filesDiv.innerHTML = "";
+            setStep("");
+            if (screen) screen.hidden = false;
+        },
+        hide() {
+            if (screen) screen.hidden = true;
+        },
+        setStep,
+        addFile
+    };
+}
+
+// Downloads the dependency files with progress, then loads them into the
+// device's buffers. Returns [{ id, file, ok, error }] with one entry per
+// dependency, in order.
+async function loadDependenciesWithProgress(device, dependencies, loadingScreen) {
+    const downloads = await Promise.all(dependencies.map(async (dependency) => {
+        const source = dependency.file || dependency.url;
+        if (!source) return { dependency };
+        const row = loadingScreen.addFile(source.split("/").pop());
+        try {
+            const blob = await fetchWithRetry(source, row.progress, row.retry);
+            row.done();
+            return { dependency, source, url: URL.createObjectURL(blob) };
+        } catch (err) {
+            row.fail(err.message);
+            return { dependency, source, error: `Couldn't download ${source}: ${err.message}` };
+        }
+    }));
+
+    const loadable = downloads.filter(download => !download.error);
+    let loadResults = [];
+    if (loadable.length) {
+        loadingScreen.setStep("Decoding samples…");
+        loadResults = await device.loadDataBufferDependencies(loadable.map(download => download.url
+            ? { id: download.dependency.id, file: download.url }
+            : download.dependency));
+        loadable.forEach(download => {
+            if (download.url) URL.revokeObjectURL(download.url);
+        });
+    }
+
+    return downloads.map(download => {
+        const { id } = download.dependency;
+        if (download.error) return { id, file: download.source, ok: false, error: download.error };
+        const result = (loadResults || []).find(r => r.id === id);
+        const ok = !result || result.type === "success";
+        return {
+            id,
+            file: download.source,
+            ok,
+            error: ok ? null : `Couldn't decode ${download.source}: ${result.error}`
+        };
+    });
+}
@@ -0,0 +1,230 @@
+/**
+ * Loop library: the patcher's buffer~ references are the loop slots. Any
+ * slot can take a user WAV/MP3/OGG/FLAC file, dropped onto its LOOP button
+ * or picked in the SAMPLES panel. The file is decoded at the context's
+ * sample rate and written into the device's buffer with setDataBuffer. Slot
+ * names and chosen files are kept in the "loopSlots" store, keyed by buffer
+ * id, and restored on the next load. The offline bounce takes the decoded
+ * buffers from here, so it plays the same files.
+ */
+
+const LOOP_FILE_ACCEPT = "audio/*,.wav,.mp3,.ogg,.flac";
+
+function loopSlotsFromPatcher(patcher) {
+    return (patcher.desc.externalDataRefs || []).filter(ref => ref.tag === "buffer~");
+}
+
+// decodeAudioData resamples silently; for WAV files we can still report the
+// rate the file was recorded at
+function readWavSampleRate(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.byteLength < 12 || view.getUint32(0) !== 0x52494646 || view.getUint32(8) !== 0x57415645) return null;
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const chunkSize = view.getUint32(offset + 4, true);
+        if (view.getUint32(offset) === 0x666D7420 && offset + 16 <= view.byteLength) {
+            return view.getUint32(offset + 12, true);
+        }
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+    return null;
+}
+
+function formatSampleRate(rate) {
+    return `${(rate / 1000).toFixed(rate % 1000 ? 1 : 0)}k`;
+}
+
+function makeLoopLibrary(device, context, loopControls, loopSlots, dependencies, bufferResults = []) {
+    const slotsDiv = document.getElementById("loop-slots");
+    if (!loopControls) return;
+
+    const slots = loopSlots
+        .map((ref, index) => ({
+            ref,
+            value: index + 1,
+            button: loopControls.buttons[index + 1],
+            defaultName: loopControls.buttons[index + 1] && loopControls.buttons[index + 1].textContent,
+            record: null,
+            buffer: null,
+            ui: null
+        }))
+        .filter(slot => slot.button);
+
+    const setSlotInfo = (slot, text, isError) => {
+        if (!slot.ui) return;
+        slot.ui.info.textContent = text;
+        slot.ui.info.classList.toggle("error", !!isError);
+    };
+
+    const applyName = (slot) => {
+        const name = (slot.record && slot.record.name) || slot.defaultName;
+        slot.button.textContent = name;
+        if (slot.ui && document.activeElement !== slot.ui.nameInput) slot.ui.nameInput.value = name;
+    };
+
+    const describeBuffer = (slot, audioBuffer, sourceRate) => {
+        const rate = sourceRate && sourceRate !== audioBuffer.sampleRate
+            ? `${formatSampleRate(sourceRate)}→${formatSampleRate(audioBuffer.sampleRate)}`
+            : formatSampleRate(audioBuffer.sampleRate);
+        const source = slot.record && slot.record.fileName ? slot.record.fileName : slot.ref.file;
+        setSlotInfo(slot, `${source} · ${audioBuffer.duration.toFixed(2)}s · ${audioBuffer.numberOfChannels}ch · ${rate}`);
+    };
+
+    const loadFileData = async (slot, arrayBuffer) => {
+        const sourceRate = readWavSampleRate(arrayBuffer);
+        // decodeAudioData detaches the buffer it is given
+        const audioBuffer = await context.decodeAudioData(arrayBuffer.slice(0));
+        await device.setDataBuffer(slot.ref.id, audioBuffer);
+        slot.buffer = audioBuffer;
+        describeBuffer(slot, audioBuffer, sourceRate);
+        loopControls.setBufferError(slot.ref.id, null);
+    };
+
+    const storeRecord = async (slot) => {
+        try {
+            await dbPut("loopSlots", slot.record);
+        } catch (err) {
+            console.error("Couldn't save loop slot:", err);
+        }
+    };
+
+    const loadUserFile = async (slot, file) => {
+        setSlotInfo(slot, `Loading ${file.name}…`);
+        try {
+            const data = await file.arrayBuffer();
+            await loadFileData(slot, data);
+            slot.record = Object.assign({ id: slot.ref.id }, slot.record, { fileName: file.name, type: file.type, data });
+            await storeRecord(slot);
+        } catch (err) {
+            setSlotInfo(slot, `Couldn't load ${file.name}: ${err.message}`, true);
+        }
+    };
+
+    const resetSlot = async (slot) => {
+        if (slot.record) {
+            delete slot.record.fileName;
+            delete slot.record.type;
+            delete slot.record.data;
+            await storeRecord(slot);
+        }
+        const dependency = dependencies.find(d => d.id === slot.ref.id);
+        if (!dependency) {
+            setSlotInfo(slot, "No factory file for this slot", true);
+            return;
+        }
+        try {
+            const blob = await fetchWithRetry(dependency.file);
+            await loadFileData(slot, await blob.arrayBuffer());
+        } catch (err) {
+            setSlotInfo(slot, `Couldn't reload ${dependency.file}: ${err.message}`, true);
+        }
+    };
+
+    const makeDropTarget = (element, slot) => {
+        element.addEventListener("dragover", (ev) => {
+            ev.preventDefault();
+            element.classList.add("drop-target");
+        });
+        element.addEventListener("dragleave", () => element.classList.remove("drop-target"));
+        element.addEventListener("drop", (ev) => {
+            ev.preventDefault();
+            element.classList.remove("drop-target");
+            const file = ev.dataTransfer.files[0];
+            if (file) loadUserFile(slot, file);
+        });
+    };
+
+    const makeSlotRow = (slot) => {
+        const row = document.createElement("div");
+        row.className = "loop-slot";
+
+        const nameInput = document.createElement("input");
+        nameInput.type = "text";
+        nameInput.className = "text-input";
+        nameInput.setAttribute("aria-label", `Loop ${slot.value} name`);
+        nameInput.addEventListener("change", async () => {
+            const name = nameInput.value.trim();
+            slot.record = Object.assign({ id: slot.ref.id }, slot.record, { name: name || undefined });
+            applyName(slot);
+            await storeRecord(slot);
+        });
+
+        const fileLabel = document.createElement("label");
+        fileLabel.className = "small-button file-button";
+        fileLabel.textContent = "LOAD";
+        const fileInput = document.createElement("input");
+        fileInput.type = "file";
+        fileInput.accept = LOOP_FILE_ACCEPT;
+        fileInput.addEventListener("change", () => {
+            if (fileInput.files[0]) loadUserFile(slot, fileInput.files[0]);
+            fileInput.value = "";
+        });
+        fileLabel.appendChild(fileInput);
+
+        const resetButton = document.createElement("button");
+        resetButton.className = "small-button";
+        resetButton.textContent = "RESET";
+        resetButton.addEventListener("click", () => resetSlot(slot));
+
+        const info = document.createElement("span");
+        info.className = "panel-status loop-slot-info";
+        info.textContent = slot.ref.file;
+
+        row.appendChild(nameInput);
+        row.appendChild(fileLabel);
+        row.appendChild(resetButton);
+        row.appendChild(info);
+        makeDropTarget(row, slot);
+        slot.ui = { nameInput, info };
+        return row;
+    };
+
+    slots.forEach(slot => {
+        makeDropTarget(slot.button, slot);
+        if (slotsDiv) slotsDiv.appendChild(makeSlotRow(slot));
+        applyName(slot);
+        const failed = bufferResults.find(result => result.id === slot.ref.id && !result.ok);
+        if (failed) {
+            setSlotInfo(slot, failed.error, true);
+            loopControls.setBufferError(slot.ref.id, failed.error);
+        }
+    });
+
+    // Bring back names and files chosen in earlier sessions
+    const restore = async () => {
+        let records = [];
+        try {
+            records = await dbGetAll("loopSlots");
+        } catch (err) {
+            console.error("Couldn't read loop slots:", err);
+            return;
+        }
+        for (const slot of slots) {
+            const record = records.find(r => r.id === slot.ref.id);
+            if (!record) continue;
+            slot.record = record;
+            applyName(slot);
+            if (record.data) {
+                try {
+                    await loadFileData(slot, record.data);
+                } catch (err) {
+                    setSlotInfo(slot, `Couldn't restore ${record.fileName}: ${err.message}`, true);
+                }
+            }
+        }
+    };
+
+    restore();
+
+    return {
+        // Buffer id -> AudioBuffer for the slots loaded from here; the rest
+        // still hold the files from dependencies.json
+        getBuffers() {
+            const buffers = new Map();
+            slots.forEach(slot => {
+                if (slot.buffer) buffers.set(slot.ref.id, slot.buffer);
+            });
+            return buffers;
+        }
+    };
+}
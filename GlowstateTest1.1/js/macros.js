@@ -0,0 +1,459 @@
+/**
+ * Macros: a knob or an XY pad that moves several parameters at once. Each
+ * axis drives any number of targets, each with its own range (in the
+ * parameter's units), curve and depth:
+ *
+ *   { id, name: "SWEEP", type: "knob", values: [0.5], axes: [[
+ *       { paramId: "cut_off", min: 200, max: 3750, curve: "exponential", depth: 1 },
+ *       { paramId: "res", min: 0, max: 0.9, curve: "linear", depth: 0.6 }
+ *   ]] }
+ *
+ * As an axis goes from 0 to 1 a target goes from min toward max: the curve
+ * shapes the way there ("inverted" runs from max back to min) and depth
+ * scales how far it gets. XY pads have two axes, X and Y. Macros are kept in
+ * localStorage, saved with user presets and learned as MIDI targets one
+ * axis at a time.
+ */
+
+const MACROS_STORAGE_KEY = "glowstate.macros";
+const MACRO_CURVES = ["linear", "exponential", "inverted"];
+const MACRO_AXIS_NAMES = ["X", "Y"];
+// How steep the exponential curve is; 4 puts the midpoint at about 12%
+const MACRO_EXPONENT = 4;
+const MACRO_KEY_STEP = 0.01;
+const MACRO_SAVE_DELAY = 250;
+
+function macroCurve(curve, t) {
+    if (curve === "exponential") return (Math.exp(MACRO_EXPONENT * t) - 1) / (Math.exp(MACRO_EXPONENT) - 1);
+    if (curve === "inverted") return 1 - t;
+    return t;
+}
+
+function macroNumber(value, fallback) {
+    return typeof value === "number" && isFinite(value) ? value : fallback;
+}
+
+// A target without its own range uses the whole range of the parameter
+function macroTargetValue(param, target, t) {
+    const min = macroNumber(target.min, param.min);
+    const max = macroNumber(target.max, param.max);
+    return clampParamValue(param, min + macroCurve(target.curve, t) * target.depth * (max - min));
+}
+
+function normalizeMacros(state) {
+    return (Array.isArray(state) ? state : [])
+        .filter(macro => macro && (macro.type === "knob" || macro.type === "xy"))
+        .map((macro, index) => {
+            const axisCount = macro.type === "xy" ? 2 : 1;
+            const axes = Array.from({ length: axisCount }, (_, axis) => {
+                const targets = Array.isArray(macro.axes) && Array.isArray(macro.axes[axis]) ? macro.axes[axis] : [];
+                return targets
+                    .filter(target => target && typeof target.paramId === "string")
+                    .map(target => ({
+                        paramId: target.paramId,
+                        min: macroNumber(target.min, null),
+                        max: macroNumber(target.max, null),
+                        curve: MACRO_CURVES.includes(target.curve) ? target.curve : "linear",
+                        depth: Math.min(1, Math.max(0, macroNumber(target.depth, 1)))
+                    }));
+            });
+            const values = Array.from({ length: axisCount }, (_, axis) =>
+                Math.min(1, Math.max(0, macroNumber(Array.isArray(macro.values) ? macro.values[axis] : undefined, 0))));
+            return {
+                id: String(macro.id || `macro-${index + 1}`),
+                name: String(macro.name || `MACRO ${index + 1}`),
+                type: macro.type,
+                values,
+                axes
+            };
+        });
+}
+
+function makeMacros(device, excludedParams = [], smoother = null) {
+    const listDiv = document.getElementById("macro-list");
+    const addKnobButton = document.getElementById("macro-add-knob-button");
+    const addPadButton = document.getElementById("macro-add-xy-button");
+    const editButton = document.getElementById("macro-edit-button");
+    const statusText = document.getElementById("macro-status");
+
+    const params = device.parameters.filter(param => !excludedParams.includes(param.id));
+    const findParam = (id) => device.parameters.find(p => p.id === id);
+
+    let storedState = null;
+    try {
+        storedState = JSON.parse(localStorage.getItem(MACROS_STORAGE_KEY));
+    } catch (e) {}
+    let macros = normalizeMacros(storedState);
+    let editing = false;
+    let saveTimer = null;
+    // Redraws each macro's knob or pad, by macro id
+    const views = new Map();
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    const save = () => {
+        clearTimeout(saveTimer);
+        localStorage.setItem(MACROS_STORAGE_KEY, JSON.stringify(macros));
+    };
+
+    // Drags and MIDI send a stream of values; only the last one needs storing
+    const saveSoon = () => {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(save, MACRO_SAVE_DELAY);
+    };
+
+    const describe = () => {
+        setStatus(macros.length ? "" : "Add a knob or an XY pad, then EDIT its targets");
+    };
+
+    const applyAxis = (macro, axis) => {
+        macro.axes[axis].forEach(target => {
+            const param = findParam(target.paramId);
+            if (!param) return;
+            const value = macroTargetValue(param, target, macro.values[axis]);
+            if (smoother) {
+                smoother.setValue(param, value);
+            } else {
+                param.value = value;
+            }
+        });
+    };
+
+    const setAxis = (id, axis, value) => {
+        const macro = macros.find(m => m.id === id);
+        if (!macro || axis >= macro.axes.length) return;
+        macro.values[axis] = Math.min(1, Math.max(0, value));
+        applyAxis(macro, axis);
+        const view = views.get(id);
+        if (view) view();
+        saveSoon();
+    };
+
+    const makeButton = (text, label, onClick) => {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.className = "small-button";
+        button.setAttribute("aria-label", label);
+        button.addEventListener("click", onClick);
+        return button;
+    };
+
+    // MIDI learn picks an axis by its data-macro-id / data-macro-axis
+    const markAxis = (el, macro, axis) => {
+        el.dataset.macroId = macro.id;
+        el.dataset.macroAxis = axis;
+    };
+
+    const makeKnob = (macro) => {
+        const knob = document.createElement("div");
+        knob.className = "param-knob macro-knob";
+        knob.tabIndex = 0;
+        knob.setAttribute("role", "slider");
+        knob.setAttribute("aria-label", macro.name);
+        knob.setAttribute("aria-valuemin", 0);
+        knob.setAttribute("aria-valuemax", 100);
+        markAxis(knob, macro, 0);
+        let drag = null;
+
+        // Up or right turns it up, so a thumb can drag either way on a phone
+        knob.addEventListener("pointerdown", (ev) => {
+            ev.preventDefault();
+            knob.setPointerCapture(ev.pointerId);
+            drag = { x: ev.clientX, y: ev.clientY, start: macro.values[0] };
+        });
+        knob.addEventListener("pointermove", (ev) => {
+            if (!drag) return;
+            const pixels = KNOB_DRAG_PIXELS * (ev.shiftKey ? 10 : 1);
+            setAxis(macro.id, 0, drag.start + ((ev.clientX - drag.x) + (drag.y - ev.clientY)) / pixels);
+        });
+        const endDrag = (ev) => {
+            if (!drag) return;
+            drag = null;
+            knob.releasePointerCapture(ev.pointerId);
+            save();
+        };
+        knob.addEventListener("pointerup", endDrag);
+        knob.addEventListener("pointercancel", endDrag);
+        knob.addEventListener("keydown", (ev) => {
+            const direction = { ArrowUp: 1, ArrowRight: 1, ArrowDown: -1, ArrowLeft: -1 }[ev.key];
+            if (!direction) return;
+            ev.preventDefault();
+            ev.stopPropagation();
+            setAxis(macro.id, 0, macro.values[0] + direction * MACRO_KEY_STEP * (ev.shiftKey ? 10 : 1));
+        });
+
+        const update = () => {
+            knob.style.setProperty("--knob-rotation", `${-135 + macro.values[0] * 270}deg`);
+            knob.setAttribute("aria-valuenow", Math.round(macro.values[0] * 100));
+        };
+        return { element: knob, update };
+    };
+
+    const makePad = (macro) => {
+        const pad = document.createElement("div");
+        pad.className = "macro-pad";
+        pad.tabIndex = 0;
+        pad.setAttribute("role", "group");
+        pad.setAttribute("aria-label", `${macro.name}, XY pad: arrow keys move it`);
+        const dot = document.createElement("div");
+        dot.className = "macro-pad-dot";
+        pad.appendChild(dot);
+        let dragging = false;
+
+        // The pad jumps to wherever it is touched; Y counts up from the bottom
+        const moveTo = (ev) => {
+            const rect = pad.getBoundingClientRect();
+            setAxis(macro.id, 0, (ev.clientX - rect.left) / rect.width);
+            setAxis(macro.id, 1, 1 - (ev.clientY - rect.top) / rect.height);
+        };
+        pad.addEventListener("pointerdown", (ev) => {
+            ev.preventDefault();
+            pad.setPointerCapture(ev.pointerId);
+            dragging = true;
+            moveTo(ev);
+        });
+        pad.addEventListener("pointermove", (ev) => {
+            if (dragging) moveTo(ev);
+        });
+        const endDrag = (ev) => {
+            if (!dragging) return;
+            dragging = false;
+            pad.releasePointerCapture(ev.pointerId);
+            save();
+        };
+        pad.addEventListener("pointerup", endDrag);
+        pad.addEventListener("pointercancel", endDrag);
+        pad.addEventListener("keydown", (ev) => {
+            const move = { ArrowLeft: [0, -1], ArrowRight: [0, 1], ArrowDown: [1, -1], ArrowUp: [1, 1] }[ev.key];
+            if (!move) return;
+            ev.preventDefault();
+            ev.stopPropagation();
+            const [axis, direction] = move;
+            setAxis(macro.id, axis, macro.values[axis] + direction * MACRO_KEY_STEP * (ev.shiftKey ? 10 : 1));
+        });
+
+        const update = () => {
+            dot.style.left = `${macro.values[0] * 100}%`;
+            dot.style.top = `${(1 - macro.values[1]) * 100}%`;
+        };
+        return { element: pad, update };
+    };
+
+    const makeTargetRow = (macro, axis, target) => {
+        const row = document.createElement("div");
+        row.className = "macro-target";
+        const changed = () => {
+            save();
+            applyAxis(macro, axis);
+        };
+
+        const paramSelect = document.createElement("select");
+        paramSelect.className = "custom-select";
+        paramSelect.setAttribute("aria-label", "Target parameter");
+        params.forEach(param => {
+            const option = document.createElement("option");
+            option.value = param.id;
+            option.innerText = param.name;
+            paramSelect.appendChild(option);
+        });
+        // Targets from another export stay, but do nothing here
+        if (!findParam(target.paramId)) {
+            const option = document.createElement("option");
+            option.value = target.paramId;
+            option.innerText = `${target.paramId} (not in this export)`;
+            paramSelect.appendChild(option);
+        }
+        paramSelect.value = target.paramId;
+
+        const makeNumber = (key, label) => {
+            const input = document.createElement("input");
+            input.type = "number";
+            input.step = "any";
+            input.className = "text-input macro-range-input";
+            input.setAttribute("aria-label", label);
+            const param = findParam(target.paramId);
+            input.value = macroNumber(target[key], param ? param[key] : "");
+            input.addEventListener("change", () => {
+                const value = Number.parseFloat(input.value);
+                target[key] = isNaN(value) ? null : value;
+                changed();
+            });
+            return input;
+        };
+        const minInput = makeNumber("min", "From");
+        const maxInput = makeNumber("max", "To");
+
+        paramSelect.addEventListener("change", () => {
+            const param = findParam(paramSelect.value);
+            target.paramId = paramSelect.value;
+            target.min = param.min;
+            target.max = param.max;
+            minInput.value = param.min;
+            maxInput.value = param.max;
+            changed();
+        });
+
+        const curveSelect = document.createElement("select");
+        curveSelect.className = "custom-select";
+        curveSelect.setAttribute("aria-label", "Curve");
+        MACRO_CURVES.forEach(curve => {
+            const option = document.createElement("option");
+            option.value = curve;
+            option.innerText = curve.toUpperCase();
+            curveSelect.appendChild(option);
+        });
+        curveSelect.value = target.curve;
+        curveSelect.addEventListener("change", () => {
+            target.curve = curveSelect.value;
+            changed();
+        });
+
+        const depthInput = document.createElement("input");
+        depthInput.type = "range";
+        depthInput.min = 0;
+        depthInput.max = 1;
+        depthInput.step = 0.01;
+        depthInput.value = target.depth;
+        depthInput.className = "macro-depth";
+        depthInput.setAttribute("aria-label", "Depth");
+        depthInput.addEventListener("input", () => {
+            target.depth = Number.parseFloat(depthInput.value);
+            changed();
+        });
+
+        const removeButton = makeButton("×", "Remove target", () => {
+            macro.axes[axis].splice(macro.axes[axis].indexOf(target), 1);
+            save();
+            render();
+        });
+
+        row.appendChild(paramSelect);
+        row.appendChild(minInput);
+        row.appendChild(maxInput);
+        row.appendChild(curveSelect);
+        row.appendChild(depthInput);
+        row.appendChild(removeButton);
+        return row;
+    };
+
+    const makeMacroCard = (macro) => {
+        const card = document.createElement("div");
+        card.className = `macro macro-${macro.type}`;
+
+        const header = document.createElement("div");
+        header.className = "macro-header";
+        const nameInput = document.createElement("input");
+        nameInput.type = "text";
+        nameInput.className = "text-input macro-name";
+        nameInput.value = macro.name;
+        nameInput.setAttribute("aria-label", "Macro name");
+        nameInput.addEventListener("change", () => {
+            macro.name = nameInput.value.trim() || macro.name;
+            save();
+            render();
+        });
+        const deleteButton = makeButton("×", `Delete ${macro.name}`, () => {
+            macros = macros.filter(m => m !== macro);
+            save();
+            render();
+        });
+        deleteButton.classList.add("macro-edit-only");
+        header.appendChild(nameInput);
+        header.appendChild(deleteButton);
+        card.appendChild(header);
+
+        const surface = macro.type === "xy" ? makePad(macro) : makeKnob(macro);
+        card.appendChild(surface.element);
+
+        const readouts = macro.axes.map((_, axis) => {
+            const readout = document.createElement("span");
+            readout.className = "param-label macro-axis";
+            markAxis(readout, macro, axis);
+            card.appendChild(readout);
+            return readout;
+        });
+
+        const editor = document.createElement("div");
+        editor.className = "macro-editor macro-edit-only";
+        macro.axes.forEach((targets, axis) => {
+            const axisLabel = document.createElement("span");
+            axisLabel.className = "param-label";
+            axisLabel.textContent = macro.type === "xy" ? `${MACRO_AXIS_NAMES[axis]} TARGETS` : "TARGETS";
+            editor.appendChild(axisLabel);
+            targets.forEach(target => editor.appendChild(makeTargetRow(macro, axis, target)));
+            editor.appendChild(makeButton("+ TARGET", `Add a ${axisLabel.textContent.toLowerCase()}`, () => {
+                const param = params.find(p => !targets.some(t => t.paramId === p.id)) || params[0];
+                if (!param) return;
+                targets.push({ paramId: param.id, min: param.min, max: param.max, curve: "linear", depth: 1 });
+                save();
+                render();
+            }));
+        });
+        card.appendChild(editor);
+
+        const update = () => {
+            surface.update();
+            readouts.forEach((readout, axis) => {
+                const name = macro.type === "xy" ? `${MACRO_AXIS_NAMES[axis]} ` : "";
+                readout.textContent = `${name}${Math.round(macro.values[axis] * 100)}%`;
+            });
+        };
+        update();
+        views.set(macro.id, update);
+        return card;
+    };
+
+    const render = () => {
+        views.clear();
+        describe();
+        if (!listDiv) return;
+        listDiv.innerHTML = "";
+        listDiv.classList.toggle("editing", editing);
+        macros.forEach(macro => listDiv.appendChild(makeMacroCard(macro)));
+    };
+
+    const addMacro = (type) => {
+        const number = macros.length + 1;
+        macros.push({
+            id: `macro-${Date.now().toString(36)}`,
+            name: `${type === "xy" ? "XY" : "MACRO"} ${number}`,
+            type,
+            values: type === "xy" ? [0.5, 0.5] : [0],
+            axes: type === "xy" ? [[], []] : [[]]
+        });
+        editing = true;
+        if (editButton) editButton.classList.add("active");
+        save();
+        render();
+    };
+
+    if (addKnobButton) addKnobButton.addEventListener("click", () => addMacro("knob"));
+    if (addPadButton) addPadButton.addEventListener("click", () => addMacro("xy"));
+    if (editButton) {
+        editButton.addEventListener("click", () => {
+            editing = !editing;
+            editButton.classList.toggle("active", editing);
+            render();
+        });
+    }
+
+    render();
+
+    return {
+        setAxis,
+
+        getState() {
+            return JSON.parse(JSON.stringify(macros));
+        },
+
+        // The preset's own parameter values stand; only the macros and
+        // their positions are restored, so nothing jumps when one is loaded
+        setState(newState) {
+            macros = normalizeMacros(newState);
+            save();
+            render();
+        }
+    };
+}
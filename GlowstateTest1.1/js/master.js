@@ -0,0 +1,269 @@
+/**
+ * Master strip between the devices and the speakers:
+ *
+ *   input -> [soft clip] -> [limiter] -> processed -> level -> mute -> destination
+ *
+ * Soft clip rounds off peaks with a tanh curve. The limiter is a lookahead
+ * peak limiter in an AudioWorklet (limiter-worklet.js) that holds every
+ * sample under MASTER_LIMITER_CEILING dBFS, at the cost of
+ * MASTER_LIMITER_LOOKAHEAD of delay. Each is wired in only while it is
+ * switched on, the limiter once its worklet has loaded. Takes are recorded
+ * from "processed", so the fader and MUTE set the listening level without
+ * changing what is recorded. Where the browser has AudioContext.setSinkId
+ * the output can be sent to another interface, e.g. a DJ cue output.
+ * Settings are kept in localStorage.
+ */
+
+const MASTER_STORAGE_KEY = "glowstate.master";
+const MASTER_MIN_DB = -60;
+const MASTER_MAX_DB = 6;
+// Time constant for level and mute changes, so they don't click
+const MASTER_RAMP_TIME = 0.01;
+// The soft clip curve reaches full scale at twice full-scale input, and
+// leaves quiet signals at unity gain
+const MASTER_SOFT_CLIP_HEADROOM = 2;
+const MASTER_SOFT_CLIP_POINTS = 2048;
+const MASTER_LIMITER_WORKLET_URL = "js/limiter-worklet.js";
+const MASTER_LIMITER_CEILING = -1;
+// Seconds
+const MASTER_LIMITER_LOOKAHEAD = 0.005;
+const MASTER_LIMITER_RELEASE = 0.1;
+
+function dbToGain(db) {
+    return db <= MASTER_MIN_DB ? 0 : Math.pow(10, db / 20);
+}
+
+function formatDb(db) {
+    return db <= MASTER_MIN_DB ? "-∞ dB" : `${db > 0 ? "+" : ""}${db.toFixed(1)} dB`;
+}
+
+function loadMasterSettings() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(MASTER_STORAGE_KEY));
+    } catch (e) {}
+    const settings = Object.assign({ db: 0, muted: false, limiter: false, softClip: false, sinkId: "" }, stored);
+    settings.db = Math.min(MASTER_MAX_DB, Math.max(MASTER_MIN_DB, Number(settings.db) || 0));
+    return settings;
+}
+
+function makeSoftClipper(context) {
+    // A WaveShaper only shapes -1..1, so the input is scaled down into it
+    const pre = context.createGain();
+    pre.gain.value = 1 / MASTER_SOFT_CLIP_HEADROOM;
+    const shaper = context.createWaveShaper();
+    const curve = new Float32Array(MASTER_SOFT_CLIP_POINTS);
+    for (let i = 0; i < curve.length; i++) {
+        const x = (i / (curve.length - 1)) * 2 - 1;
+        curve[i] = Math.tanh(x * MASTER_SOFT_CLIP_HEADROOM);
+    }
+    shaper.curve = curve;
+    shaper.oversample = "4x";
+    pre.connect(shaper);
+    return { input: pre, output: shaper };
+}
+
+// Frames of lookahead, which is how far the limiter delays the signal
+function masterLimiterLatency(sampleRate) {
+    return Math.max(1, Math.round(MASTER_LIMITER_LOOKAHEAD * sampleRate));
+}
+
+async function makeLimiter(context) {
+    await context.audioWorklet.addModule(MASTER_LIMITER_WORKLET_URL);
+    const node = new AudioWorkletNode(context, "glowstate-limiter", {
+        outputChannelCount: [2],
+        processorOptions: {
+            ceiling: dbToGain(MASTER_LIMITER_CEILING),
+            delay: masterLimiterLatency(context.sampleRate),
+            release: MASTER_LIMITER_RELEASE
+        }
+    });
+    return { input: node, output: node, node };
+}
+
+// New soft clip and limiter stages for another context, those switched on
+// in settings, in the order the master strip wires them
+async function makeMasterStages(context, settings) {
+    const stages = [];
+    if (settings.softClip) stages.push(makeSoftClipper(context));
+    if (settings.limiter) stages.push(await makeLimiter(context));
+    return stages;
+}
+
+function makeMasterSection(context, inputNode) {
+    const gainSlider = document.getElementById("master-gain");
+    const gainReadout = document.getElementById("master-gain-readout");
+    const muteButton = document.getElementById("master-mute-button");
+    const limiterButton = document.getElementById("master-limiter-button");
+    const reductionText = document.getElementById("master-reduction");
+    const softClipButton = document.getElementById("master-softclip-button");
+    const outputSelect = document.getElementById("master-output-select");
+    const statusText = document.getElementById("master-status");
+
+    const settings = loadMasterSettings();
+    const softClipper = makeSoftClipper(context);
+    let limiter = null;
+    let reduction = 0;
+    const processed = context.createGain();
+    const levelNode = context.createGain();
+    const muteNode = context.createGain();
+    processed.connect(levelNode);
+    levelNode.connect(muteNode);
+    muteNode.connect(context.destination);
+    levelNode.gain.value = dbToGain(settings.db);
+    muteNode.gain.value = settings.muted ? 0 : 1;
+
+    let stages = null;
+    let reductionFrame = null;
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    const save = () => {
+        localStorage.setItem(MASTER_STORAGE_KEY, JSON.stringify(settings));
+    };
+
+    // Connects or disconnects input -> stages -> processed, link by link
+    const wireChain = (list, method) => {
+        const chain = [{ output: inputNode }].concat(list, [{ input: processed }]);
+        chain.slice(0, -1).forEach((stage, i) => stage.output[method](chain[i + 1].input));
+    };
+
+    const rewire = () => {
+        if (stages) wireChain(stages, "disconnect");
+        stages = [];
+        if (settings.softClip) stages.push(softClipper);
+        if (settings.limiter && limiter) stages.push(limiter);
+        wireChain(stages, "connect");
+    };
+
+    const setPressed = (button, on) => {
+        if (!button) return;
+        button.classList.toggle("active", on);
+        button.setAttribute("aria-pressed", String(on));
+    };
+
+    // Gain reduction readout, only drawn while the limiter is in
+    const drawReduction = () => {
+        if (!settings.limiter || !reductionText) {
+            reductionFrame = null;
+            if (reductionText) reductionText.textContent = "";
+            return;
+        }
+        reductionText.textContent = `GR ${reduction < -0.05 ? reduction.toFixed(1) : "0.0"} dB`;
+        reductionFrame = requestAnimationFrame(drawReduction);
+    };
+
+    const update = () => {
+        levelNode.gain.setTargetAtTime(dbToGain(settings.db), context.currentTime, MASTER_RAMP_TIME);
+        muteNode.gain.setTargetAtTime(settings.muted ? 0 : 1, context.currentTime, MASTER_RAMP_TIME);
+        if (gainSlider) {
+            gainSlider.value = settings.db;
+            gainSlider.setAttribute("aria-valuetext", formatDb(settings.db));
+        }
+        if (gainReadout) gainReadout.textContent = formatDb(settings.db);
+        setPressed(muteButton, settings.muted);
+        setPressed(limiterButton, settings.limiter);
+        setPressed(softClipButton, settings.softClip);
+        if (settings.limiter && reductionFrame === null) drawReduction();
+    };
+
+    if (gainSlider) {
+        gainSlider.min = MASTER_MIN_DB;
+        gainSlider.max = MASTER_MAX_DB;
+        gainSlider.addEventListener("input", () => {
+            settings.db = Number.parseFloat(gainSlider.value);
+            update();
+        });
+        gainSlider.addEventListener("change", save);
+        // Double-click goes back to unity
+        gainSlider.addEventListener("dblclick", () => {
+            settings.db = 0;
+            update();
+            save();
+        });
+    }
+
+    const toggle = (button, key) => {
+        if (!button) return;
+        button.addEventListener("click", () => {
+            settings[key] = !settings[key];
+            if (key !== "muted") rewire();
+            update();
+            save();
+        });
+    };
+    toggle(muteButton, "muted");
+    toggle(limiterButton, "limiter");
+    toggle(softClipButton, "softClip");
+
+    const setSink = async (sinkId) => {
+        try {
+            await context.setSinkId(sinkId);
+            settings.sinkId = sinkId;
+            save();
+            setStatus("");
+        } catch (err) {
+            setStatus(`Couldn't switch output: ${err.message}`);
+            if (outputSelect) outputSelect.value = context.sinkId || "";
+        }
+    };
+
+    // Device names stay empty until the page has been given some media
+    // permission, so unnamed outputs are numbered
+    const listOutputs = async () => {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const outputs = devices.filter(d => d.kind === "audiooutput" && d.deviceId !== "default");
+        outputSelect.innerHTML = "";
+        [{ deviceId: "", label: "System default" }].concat(outputs).forEach((device, index) => {
+            const option = document.createElement("option");
+            option.value = device.deviceId;
+            option.innerText = device.label || `Output ${index}`;
+            outputSelect.appendChild(option);
+        });
+        const current = typeof context.sinkId === "string" ? context.sinkId : "";
+        outputSelect.value = outputs.some(d => d.deviceId === current) ? current : "";
+        return outputs;
+    };
+
+    if (outputSelect) {
+        if (typeof context.setSinkId !== "function" || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            outputSelect.disabled = true;
+            outputSelect.title = "This browser can only play to the system output";
+        } else {
+            outputSelect.addEventListener("change", () => setSink(outputSelect.value));
+            navigator.mediaDevices.addEventListener("devicechange", () => listOutputs());
+            listOutputs().then(outputs => {
+                // The interface picked last time, if it is still plugged in
+                if (settings.sinkId && outputs.some(d => d.deviceId === settings.sinkId)) setSink(settings.sinkId);
+            }).catch(err => setStatus(`Outputs unavailable: ${err.message}`));
+        }
+    }
+
+    rewire();
+    update();
+
+    makeLimiter(context).then(loaded => {
+        limiter = loaded;
+        limiter.node.port.onmessage = (event) => {
+            reduction = event.data.reduction;
+        };
+        rewire();
+    }).catch(err => {
+        if (limiterButton) limiterButton.disabled = true;
+        setStatus(`Limiter unavailable: ${err.message}`);
+    });
+
+    return {
+        // A copy of the settings, for building the same stages elsewhere
+        getSettings() {
+            return Object.assign({}, settings);
+        },
+        // What the take recorder records, after soft clip and limiter
+        recordTap: processed,
+        // Where previews go: through the level, mute and output, but not
+        // into the recording
+        monitorInput: levelNode
+    };
+}
@@ -0,0 +1,205 @@
+/**
+ * Output analysis: stereo peak/RMS meters with clip hold, an FFT spectrum
+ * with a frequency parameter (the layout's spectrumMarker) marked, and an
+ * oscilloscope, all tapped off the device output. Drawing runs once per
+ * animation frame into buffers that are allocated up front, so nothing is
+ * created per frame. The header's LIVE indicator dims while the output is
+ * silent.
+ */
+
+const METER_FFT_SIZE = 2048;
+const METER_MIN_DB = -60;
+const METER_PEAK_DECAY_DB = 0.5;
+const METER_CLIP_HOLD_MS = 2000;
+const SPECTRUM_MIN_DB = -100;
+const SPECTRUM_MAX_DB = -10;
+const SPECTRUM_MIN_FREQ = 20;
+const SILENCE_THRESHOLD_DB = -80;
+
+function gainToDb(gain) {
+    return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+}
+
+// Scales a canvas's backing store to its CSS size and the screen density
+function fitCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (width && height && (canvas.width !== width || canvas.height !== height)) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+}
+
+function makeOutputAnalysis(context, device, sourceNode, markerParamId) {
+    const meterCanvas = document.getElementById("meter-canvas");
+    const spectrumCanvas = document.getElementById("spectrum-canvas");
+    const scopeCanvas = document.getElementById("scope-canvas");
+    const clipIndicator = document.getElementById("clip-indicator");
+    const statusIndicator = document.querySelector(".status-indicator");
+    if (!meterCanvas && !spectrumCanvas && !scopeCanvas) return;
+
+    const splitter = context.createChannelSplitter(2);
+    const channelAnalysers = [0, 1].map(channel => {
+        const analyser = context.createAnalyser();
+        analyser.fftSize = METER_FFT_SIZE;
+        splitter.connect(analyser, channel);
+        return analyser;
+    });
+    const spectrumAnalyser = context.createAnalyser();
+    spectrumAnalyser.fftSize = METER_FFT_SIZE;
+    spectrumAnalyser.smoothingTimeConstant = 0.8;
+
+    sourceNode.connect(splitter);
+    sourceNode.connect(spectrumAnalyser);
+
+    const timeData = [new Float32Array(METER_FFT_SIZE), new Float32Array(METER_FFT_SIZE)];
+    const frequencyData = new Float32Array(spectrumAnalyser.frequencyBinCount);
+    const meters = [0, 1].map(() => ({ peakDb: -Infinity, rmsDb: -Infinity, holdDb: -Infinity }));
+    let clipUntil = 0;
+
+    const markerParam = markerParamId && device.parameters.find(p => p.id === markerParamId);
+    const meterCtx = meterCanvas && meterCanvas.getContext("2d");
+    const spectrumCtx = spectrumCanvas && spectrumCanvas.getContext("2d");
+    const scopeCtx = scopeCanvas && scopeCanvas.getContext("2d");
+    const canvases = [meterCanvas, spectrumCanvas, scopeCanvas].filter(Boolean);
+    canvases.forEach(fitCanvas);
+    const observer = window.ResizeObserver ? new ResizeObserver(() => canvases.forEach(fitCanvas)) : null;
+    if (observer) canvases.forEach(canvas => observer.observe(canvas));
+
+    if (clipIndicator) {
+        clipIndicator.addEventListener("click", () => {
+            clipUntil = 0;
+            clipIndicator.classList.remove("clipping");
+        });
+    }
+
+    const measure = (now) => {
+        for (let c = 0; c < 2; c++) {
+            const data = timeData[c];
+            channelAnalysers[c].getFloatTimeDomainData(data);
+            let peak = 0;
+            let sum = 0;
+            for (let i = 0; i < data.length; i++) {
+                const sample = Math.abs(data[i]);
+                if (sample > peak) peak = sample;
+                sum += data[i] * data[i];
+            }
+            const meter = meters[c];
+            meter.peakDb = gainToDb(peak);
+            meter.rmsDb = gainToDb(Math.sqrt(sum / data.length));
+            meter.holdDb = Math.max(meter.peakDb, meter.holdDb - METER_PEAK_DECAY_DB);
+            if (peak >= 1) clipUntil = now + METER_CLIP_HOLD_MS;
+        }
+    };
+
+    const meterPosition = (db) => Math.min(1, Math.max(0, (db - METER_MIN_DB) / -METER_MIN_DB));
+
+    const drawMeters = () => {
+        const ctx = meterCtx;
+        const { width, height } = meterCanvas;
+        const barHeight = height / 2 - 2;
+        ctx.clearRect(0, 0, width, height);
+        meters.forEach((meter, c) => {
+            const y = c * (barHeight + 4);
+            ctx.fillStyle = "rgba(255, 255, 255, 0.08)";
+            ctx.fillRect(0, y, width, barHeight);
+            ctx.fillStyle = "rgba(0, 243, 255, 0.45)";
+            ctx.fillRect(0, y, meterPosition(meter.peakDb) * width, barHeight);
+            ctx.fillStyle = meter.peakDb >= -3 ? "#ff7d00" : "#00f3ff";
+            ctx.fillRect(0, y, meterPosition(meter.rmsDb) * width, barHeight);
+            ctx.fillStyle = meter.holdDb >= 0 ? "#ff006e" : "#ffffff";
+            ctx.fillRect(meterPosition(meter.holdDb) * width - 2, y, 2, barHeight);
+        });
+    };
+
+    const frequencyToX = (frequency, width) => {
+        const nyquist = context.sampleRate / 2;
+        return (Math.log(frequency / SPECTRUM_MIN_FREQ) / Math.log(nyquist / SPECTRUM_MIN_FREQ)) * width;
+    };
+
+    const drawSpectrum = () => {
+        spectrumAnalyser.getFloatFrequencyData(frequencyData);
+        const ctx = spectrumCtx;
+        const { width, height } = spectrumCanvas;
+        const binWidth = context.sampleRate / spectrumAnalyser.fftSize;
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        for (let i = 1; i < frequencyData.length; i++) {
+            const frequency = i * binWidth;
+            if (frequency < SPECTRUM_MIN_FREQ) continue;
+            const level = (frequencyData[i] - SPECTRUM_MIN_DB) / (SPECTRUM_MAX_DB - SPECTRUM_MIN_DB);
+            ctx.lineTo(frequencyToX(frequency, width), height - Math.min(1, Math.max(0, level)) * height);
+        }
+        ctx.lineTo(width, height);
+        ctx.fillStyle = "rgba(181, 55, 242, 0.35)";
+        ctx.fill();
+        ctx.strokeStyle = "#b537f2";
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        if (markerParam && markerParam.value > SPECTRUM_MIN_FREQ) {
+            const x = frequencyToX(markerParam.value, width);
+            ctx.fillStyle = "#00f3ff";
+            ctx.fillRect(x - 1, 0, 2, height);
+        }
+    };
+
+    const drawScope = () => {
+        const ctx = scopeCtx;
+        const { width, height } = scopeCanvas;
+        const data = timeData[0];
+        // Start at a rising zero crossing so the trace stands still
+        let start = 0;
+        for (let i = 1; i < data.length / 2; i++) {
+            if (data[i - 1] < 0 && data[i] >= 0) {
+                start = i;
+                break;
+            }
+        }
+        const samples = data.length / 2;
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = "#00f3ff";
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let i = 0; i < samples; i++) {
+            const x = (i / samples) * width;
+            const y = (1 - data[start + i]) * height / 2;
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+    };
+
+    let wasClipping = false;
+    let wasSilent = null;
+    const draw = (now) => {
+        // The canvases are replaced when another patcher is loaded
+        if (!canvases[0].isConnected) {
+            if (observer) observer.disconnect();
+            return;
+        }
+        measure(now);
+        if (meterCanvas) drawMeters();
+        if (spectrumCanvas) drawSpectrum();
+        if (scopeCanvas) drawScope();
+
+        const clipping = now < clipUntil;
+        if (clipIndicator && clipping !== wasClipping) {
+            clipIndicator.classList.toggle("clipping", clipping);
+            wasClipping = clipping;
+        }
+        const silent = Math.max(meters[0].peakDb, meters[1].peakDb) < SILENCE_THRESHOLD_DB;
+        if (statusIndicator && silent !== wasSilent) {
+            statusIndicator.classList.toggle("idle", silent);
+            wasSilent = silent;
+        }
+        requestAnimationFrame(draw);
+    };
+    requestAnimationFrame(draw);
+}
@@ -0,0 +1,212 @@
+/**
+ * MIDI Learn: binds incoming CC and note messages to device parameters,
+ * macro axes and LOOP buttons. Arm learn mode, click a slider, a macro or a
+ * LOOP button, then move a knob or hit a pad. Mappings are kept in
+ * localStorage and can be exported to / imported from a JSON file so a
+ * controller layout can be shared.
+ */
+
+const MIDI_MAPPINGS_STORAGE_KEY = "glowstate.midiMappings";
+
+function loadMidiMappings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(MIDI_MAPPINGS_STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveMidiMappings(mappings) {
+    localStorage.setItem(MIDI_MAPPINGS_STORAGE_KEY, JSON.stringify(mappings));
+}
+
+function isValidMidiMapping(mapping) {
+    return mapping &&
+        (mapping.type === "cc" || mapping.type === "note") &&
+        Number.isInteger(mapping.channel) &&
+        Number.isInteger(mapping.number) &&
+        (typeof mapping.paramId === "string" ||
+         (typeof mapping.macro === "string" && Number.isInteger(mapping.axis)) ||
+         Number.isInteger(mapping.loop));
+}
+
+function isSameMidiTarget(a, b) {
+    if (a.paramId !== undefined) return a.paramId === b.paramId;
+    if (a.macro !== undefined) return a.macro === b.macro && a.axis === b.axis;
+    return a.loop === b.loop;
+}
+
+// Turns raw MIDI bytes into { type, channel, number, value }, or null for
+// anything that can't be learned (clock, sysex, pitch bend, ...)
+function parseMidiMessage(data) {
+    const status = data[0] & 0xF0;
+    const channel = data[0] & 0x0F;
+    if (status === 0xB0) {
+        return { type: "cc", channel, number: data[1], value: data[2] };
+    }
+    if (status === 0x90 && data[2] > 0) {
+        return { type: "note", channel, number: data[1], value: data[2] };
+    }
+    return null;
+}
+
+function makeMidiLearn(device, loopControls, macros, parameterItems = []) {
+    const learnButton = document.getElementById("midi-learn-button");
+    const exportButton = document.getElementById("midi-export-button");
+    const importInput = document.getElementById("midi-import-input");
+    const clearButton = document.getElementById("midi-clear-button");
+    const statusText = document.getElementById("midi-learn-status");
+
+    let mappings = loadMidiMappings();
+    let learning = false;
+    let learnTarget = null;
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    const describeMappingCount = () => {
+        setStatus(`${mappings.length} mapping${mappings.length === 1 ? "" : "s"}`);
+    };
+
+    const clearTargetHighlight = () => {
+        document.querySelectorAll(".learn-target").forEach(el => el.classList.remove("learn-target"));
+    };
+
+    const setLearning = (on) => {
+        learning = on;
+        learnTarget = null;
+        clearTargetHighlight();
+        document.body.classList.toggle("midi-learning", on);
+        if (learnButton) learnButton.classList.toggle("active", on);
+        if (on) {
+            setStatus("Click a slider, macro or LOOP button");
+        } else {
+            describeMappingCount();
+        }
+    };
+
+    // While learning, clicks on a control pick it as the target instead of
+    // operating it, so we listen in the capture phase and swallow the event
+    const pickTarget = (e) => {
+        if (!learning) return;
+        const control = e.target.closest(".param-control");
+        const macroAxis = e.target.closest("[data-macro-axis]");
+        const loopButton = e.target.closest(".loop-button");
+        if (!control && !macroAxis && !loopButton) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        clearTargetHighlight();
+        if (control) {
+            learnTarget = { paramId: control.dataset.paramId };
+            control.classList.add("learn-target");
+        } else if (macroAxis) {
+            learnTarget = { macro: macroAxis.dataset.macroId, axis: Number.parseInt(macroAxis.dataset.macroAxis, 10) };
+            macroAxis.classList.add("learn-target");
+        } else {
+            learnTarget = { loop: Number.parseInt(loopButton.dataset.loopValue, 10) };
+            loopButton.classList.add("learn-target");
+        }
+        setStatus("Move a knob or hit a pad");
+    };
+
+    const pickEvents = ["pointerdown", "click", "touchstart"];
+    pickEvents.forEach(type => {
+        document.addEventListener(type, pickTarget, { capture: true, passive: false });
+    });
+
+    const bind = (message) => {
+        mappings = mappings.filter(m => {
+            const sameSource = m.type === message.type && m.channel === message.channel && m.number === message.number;
+            return !sameSource && !isSameMidiTarget(learnTarget, m);
+        });
+        mappings.push(Object.assign({ type: message.type, channel: message.channel, number: message.number }, learnTarget));
+        saveMidiMappings(mappings);
+        setLearning(false);
+    };
+
+    const applyMapping = (mapping, message) => {
+        if (mapping.paramId !== undefined) {
+            // Controls on the page follow their response curve and glide
+            const item = parameterItems.find(i => i.id === mapping.paramId);
+            const param = device.parameters.find(p => p.id === mapping.paramId);
+            if (item) {
+                item.setValue(paramValueAt(item, message.value / 127));
+            } else if (param) {
+                param.value = param.min + (message.value / 127) * (param.max - param.min);
+            }
+        } else if (mapping.macro !== undefined) {
+            if (macros) macros.setAxis(mapping.macro, mapping.axis, message.value / 127);
+        } else if (loopControls && (message.type === "note" || message.value >= 64)) {
+            loopControls.selectLoop(mapping.loop);
+        }
+    };
+
+    // Returns true when the message was consumed by learn mode or a mapping
+    const handleMessage = (data) => {
+        const message = parseMidiMessage(data);
+        if (!message) return false;
+
+        if (learning && learnTarget) {
+            bind(message);
+            return true;
+        }
+
+        const matches = mappings.filter(m => m.type === message.type && m.channel === message.channel && m.number === message.number);
+        matches.forEach(mapping => applyMapping(mapping, message));
+        return matches.length > 0;
+    };
+
+    if (learnButton) {
+        learnButton.addEventListener("click", () => setLearning(!learning));
+    }
+
+    if (clearButton) {
+        clearButton.addEventListener("click", () => {
+            mappings = [];
+            saveMidiMappings(mappings);
+            setLearning(false);
+        });
+    }
+
+    if (exportButton) {
+        exportButton.addEventListener("click", () => {
+            const blob = new Blob([JSON.stringify(mappings, null, 2)], { type: "application/json" });
+            downloadBlob(blob, "glowstate-midi-mappings.json");
+        });
+    }
+
+    if (importInput) {
+        importInput.addEventListener("change", async () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            try {
+                const imported = JSON.parse(await file.text());
+                if (!Array.isArray(imported) || !imported.every(isValidMidiMapping)) {
+                    throw new Error("Not a MIDI mapping file");
+                }
+                mappings = imported;
+                saveMidiMappings(mappings);
+                setLearning(false);
+            } catch (err) {
+                setStatus(`Import failed: ${err.message}`);
+            }
+            importInput.value = "";
+        });
+    }
+
+    describeMappingCount();
+
+    // Called when the patcher is switched out
+    const dispose = () => {
+        setLearning(false);
+        pickEvents.forEach(type => {
+            document.removeEventListener(type, pickTarget, { capture: true });
+        });
+    };
+
+    return { handleMessage, dispose };
+}
@@ -0,0 +1,27 @@
+/**
+ * Local-first loading. rnbo.js is taken from lib/rnbo/<version>/rnbo.min.js
+ * when a copy for the patcher's RNBO version is bundled there, and from the
+ * Cycling '74 CDN otherwise. The service worker (sw.js) precaches the page,
+ * scripts, styles, fonts, every export in the manifest with its media, and
+ * the matching rnbo.js, so after one visit online the app runs offline and
+ * can be installed as a PWA.
+ *
+ * This file is also loaded into the service worker, so it must not touch
+ * the DOM at load time.
+ */
+
+const RNBO_CDN_BASE = "https://c74-public.nyc3.digitaloceanspaces.com/rnbo/";
+const RNBO_LOCAL_BASE = "lib/rnbo/";
+const SERVICE_WORKER_URL = "sw.js";
+
+function rnboScriptURLs(version) {
+    const path = encodeURIComponent(version) + "/rnbo.min.js";
+    return { local: RNBO_LOCAL_BASE + path, cdn: RNBO_CDN_BASE + path };
+}
+
+function registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || window.location.protocol === "file:") return;
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(err => {
+        console.warn("Service worker registration failed, the app won't work offline:", err);
+    });
+}
@@ -0,0 +1,141 @@
+/**
+ * Patcher manifest: export/manifest.json lists the exports that can be
+ * loaded, each in its own folder with its patcher, dependencies.json and
+ * media. The header selector switches between them on the same
+ * AudioContext, so revisions of the patch can be A/B'd without a reload:
+ *
+ *   {
+ *     "default": "gs-1.4",
+ *     "exports": [
+ *       { "id": "gs-1.4", "name": "GS 1.4", "folder": "export/", "patcher": "GS1.4.export.json" },
+ *       { "id": "gs-1.5", "name": "GS 1.5 (dark)", "folder": "export/gs-1.5/", "patcher": "GS1.5.export.json" }
+ *     ]
+ *   }
+ *
+ * "dependencies" defaults to "dependencies.json"; like the media files it
+ * lists, it is resolved against the entry's folder. Without a manifest the
+ * app loads the single export it always has.
+ */
+
+const PATCHER_MANIFEST_URL = "export/manifest.json";
+const PATCHER_STORAGE_KEY = "glowstate.patcher";
+const DEFAULT_PATCHER_ENTRY = {
+    id: "default",
+    name: "GS1.4",
+    folder: "export/",
+    patcher: "GS1.4.export.json",
+    dependencies: "dependencies.json"
+};
+
+function resolvePatcherEntry(entry) {
+    const folder = entry.folder === undefined ? "export/" : entry.folder.replace(/\/?$/, "/");
+    return {
+        id: String(entry.id),
+        name: entry.name || entry.id,
+        folder,
+        patcherURL: folder + entry.patcher,
+        dependenciesURL: folder + (entry.dependencies || "dependencies.json")
+    };
+}
+
+async function loadPatcherManifest() {
+    let manifest = null;
+    try {
+        const response = await fetch(PATCHER_MANIFEST_URL);
+        if (response.ok) manifest = await response.json();
+    } catch (e) {
+        console.warn(`Couldn't read ${PATCHER_MANIFEST_URL}:`, e);
+    }
+
+    const exports = manifest && Array.isArray(manifest.exports)
+        ? manifest.exports.filter(entry => entry && entry.id !== undefined && typeof entry.patcher === "string")
+        : [];
+    if (!exports.length) {
+        return { entries: [resolvePatcherEntry(DEFAULT_PATCHER_ENTRY)], defaultId: DEFAULT_PATCHER_ENTRY.id };
+    }
+    const entries = exports.map(resolvePatcherEntry);
+    const defaultId = entries.some(entry => entry.id === manifest.default) ? manifest.default : entries[0].id;
+    return { entries, defaultId };
+}
+
+// The last export picked in the selector, if it is still in the manifest
+function initialPatcherEntry(manifest) {
+    const storedId = localStorage.getItem(PATCHER_STORAGE_KEY);
+    return manifest.entries.find(entry => entry.id === storedId)
+        || manifest.entries.find(entry => entry.id === manifest.defaultId);
+}
+
+// Media paths in dependencies.json are relative to the export's folder. An
+// export without one has no buffers; a file that can't be read throws.
+async function loadPatcherDependencies(entry) {
+    let blob;
+    try {
+        blob = await fetchWithRetry(entry.dependenciesURL);
+    } catch (err) {
+        if (err.status === 404) return [];
+        throw new Error(`Couldn't load ${entry.dependenciesURL}: ${err.message}`);
+    }
+    const dependencies = JSON.parse(await blob.text());
+    return dependencies.map(d => d.file ? Object.assign({}, d, { file: entry.folder + d.file }) : d);
+}
+
+// Parameter values by id, to carry over into the next device. With a
+// smoother, a glide under way is taken at the value it is heading for
+function captureParameterValues(device, smoother) {
+    const values = {};
+    device.parameters.forEach(param => {
+        values[param.id] = smoother ? smoother.targetValue(param) : param.value;
+    });
+    return values;
+}
+
+function applyParameterValues(device, values) {
+    device.parameters.forEach(param => {
+        if (typeof values[param.id] === "number") param.value = clampParamValue(param, values[param.id]);
+    });
+}
+
+// Rows that belong to the loaded patcher are put back to their markup from
+// page load before the next patcher builds into them, which drops the old
+// controls and their listeners in one go. Rows marked data-persistent stay.
+function makePanelReset(panel) {
+    if (!panel) return () => {};
+    const rows = Array.from(panel.children).filter(row => row.classList.contains("control-row") && !row.hasAttribute("data-persistent"));
+    const pristine = rows.map(row => row.cloneNode(true));
+    return () => {
+        rows.forEach((row, index) => {
+            const fresh = pristine[index].cloneNode(true);
+            row.replaceWith(fresh);
+            rows[index] = fresh;
+        });
+    };
+}
+
+function makePatcherSelector(manifest, currentId, onSelect) {
+    const select = document.getElementById("patcher-select");
+    if (!select) return;
+
+    manifest.entries.forEach(entry => {
+        const option = document.createElement("option");
+        option.value = entry.id;
+        option.textContent = entry.name;
+        select.appendChild(option);
+    });
+    select.value = currentId;
+    select.hidden = manifest.entries.length < 2;
+
+    let selectedId = currentId;
+    select.addEventListener("change", async () => {
+        const entry = manifest.entries.find(e => e.id === select.value);
+        if (!entry) return;
+        select.disabled = true;
+        const switched = await onSelect(entry);
+        if (switched) {
+            selectedId = entry.id;
+            localStorage.setItem(PATCHER_STORAGE_KEY, entry.id);
+        } else {
+            select.value = selectedId;
+        }
+        select.disabled = false;
+    });
+}
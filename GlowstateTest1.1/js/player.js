@@ -0,0 +1,673 @@
+/**
+ * The player: loading an export into a device, PLAY/STOP and the loop
+ * buttons, used by the full app and by <glowstate-player>, an element that
+ * puts a player on any page:
+ *
+ *   <script src="https://example.com/glowstate/js/embed.js"></script>
+ *   <glowstate-player src="export/GS1.4.export.json" tempo="124" loop="2"
+ *                     controls="transport loops params"></glowstate-player>
+ *
+ * src is the export (relative to the page; the export next to this script if
+ * left out), tempo and loop are where it starts, and controls picks any of
+ * "transport", "tempo", "loops" and "params" (all by default). Each player
+ * builds its own device, transport and controls in a shadow root, so the
+ * page's styles don't reach in and one page can hold several, sharing one
+ * AudioContext. The element, and the object createGlowstatePlayer() resolves
+ * to, can be scripted:
+ *
+ *   player.play()
+ *   player.stop()
+ *   player.setLoop(2)                  queued on the launch grid while playing
+ *   player.setParam("cut_off", 1200)
+ *   player.setTempo(128)
+ *   player.getState()                  { playing, tempo, beatTime, loop, params }
+ *   player.on("beat", ({ bar, beat }) => ...)    on() returns an unsubscribe function
+ *   player.on("param", ({ id, value }) => ...)
+ *   player.on("loop", ({ loop }) => ...)
+ */
+
+const PLAYER_CONTROLS = ["transport", "tempo", "loops", "params"];
+const PLAYER_EVENTS = ["beat", "param", "loop"];
+// The beat watcher wakes at least this often (ms)
+const PLAYER_BEAT_INTERVAL = 25;
+// The app's folder, found from this script, so a page on another site still
+// gets the stylesheet and the default export
+const PLAYER_BASE_URL = new URL("..", (document.currentScript && document.currentScript.src) || document.baseURI).href;
+
+let rnboScriptLoading = null;
+let playerContext = null;
+
+// Fetches an export and builds its device on the given context. Nothing is
+// connected or shown yet, so a failure here leaves the page as it was.
+// controllerOnly builds a silent stand-in instead, without samples.
+async function loadPatcher(context, entry, loadingScreen, controllerOnly = false) {
+    loadingScreen.show();
+    try {
+        return await loadPatcherSteps(context, entry, loadingScreen, controllerOnly);
+    } finally {
+        loadingScreen.hide();
+    }
+}
+
+async function loadPatcherSteps(context, entry, loadingScreen, controllerOnly) {
+    // Fetch the exported patcher
+    loadingScreen.setStep(`Loading ${entry.name}…`);
+    const response = await fetch(entry.patcherURL);
+    if (response.status >= 300 || response.status < 200) {
+        const err = new Error(`HTTP ${response.status} for ${entry.patcherURL}`);
+        err.response = response;
+        throw err;
+    }
+    const patcher = await response.json();
+
+    if (!window.RNBO) {
+        // Load RNBO script dynamically
+        // Note that you can skip this by knowing the RNBO version of your patch
+        // beforehand and just include it using a <script> tag
+        loadingScreen.setStep("Loading rnbo.js…");
+        // Players that start loading together share the one download
+        if (!rnboScriptLoading) {
+            rnboScriptLoading = loadRNBOScript(patcher.desc.meta.rnboversion).catch(err => {
+                rnboScriptLoading = null;
+                throw err;
+            });
+        }
+        await rnboScriptLoading;
+    }
+
+    // Only one rnbo.js can be loaded per page, so every export has to match it
+    const expectedVersion = patcher.desc.meta.rnboversion;
+    if (RNBO.version && RNBO.version !== expectedVersion) {
+        const err = new Error(`rnbo.js v${RNBO.version} is loaded but ${entry.patcherURL} needs v${expectedVersion}`);
+        err.header = `RNBO version mismatch`;
+        err.description = `${entry.patcherURL} was exported with RNBO v${expectedVersion},` +
+            ` but the page is running rnbo.js v${RNBO.version}, and only one version can` +
+            ` be loaded per page. Export the patches in export/manifest.json with the` +
+            ` same RNBO version.`;
+        throw err;
+    }
+
+    if (controllerOnly) {
+        const device = makeControllerDevice(context, patcher);
+        const layout = resolvePatcherLayout(device, patcher, await loadPatcherLayout(entry.patcherURL));
+        return { entry, patcher, dependencies: [], bufferResults: [], device, layout };
+    }
+
+    // (Optional) Fetch the dependencies. A broken list only costs the samples,
+    // so it is reported with the buffer results instead of stopping the load
+    let dependencies = [];
+    let bufferResults = [];
+    try {
+        dependencies = await loadPatcherDependencies(entry);
+    } catch (err) {
+        bufferResults.push({ id: null, file: entry.dependenciesURL, ok: false, error: err.message });
+    }
+
+    // Create the device
+    loadingScreen.setStep("Creating device…");
+    const device = await RNBO.createDevice({ context, patcher });
+
+    // (Optional) Load the samples
+    if (dependencies.length) {
+        loadingScreen.setStep("Loading samples…");
+        bufferResults = bufferResults.concat(await loadDependenciesWithProgress(device, dependencies, loadingScreen));
+    }
+
+    // (Optional) Fetch the layout that picks widgets, labels and grouping
+    const layout = resolvePatcherLayout(device, patcher, await loadPatcherLayout(entry.patcherURL));
+
+    return { entry, patcher, dependencies, bufferResults, device, layout };
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const el = document.createElement("script");
+        el.src = src;
+        el.onload = resolve;
+        el.onerror = function(err) {
+            console.log(err);
+            el.remove();
+            reject(new Error("Failed to load " + src));
+        };
+        document.body.append(el);
+    });
+}
+
+// Prefers a copy of rnbo.js bundled under lib/rnbo/ and falls back to the CDN
+async function loadRNBOScript(version) {
+    if (/^\d+\.\d+\.\d+-dev$/.test(version)) {
+        throw new Error("Patcher exported with a Debug Version!\nPlease specify the correct RNBO version to use in the code.");
+    }
+    const urls = rnboScriptURLs(version);
+    try {
+        // Beside the app, not the page, when the player is embedded elsewhere
+        await loadScript(new URL(urls.local, PLAYER_BASE_URL).href);
+    } catch (e) {
+        try {
+            await loadScript(urls.cdn);
+        } catch (err) {
+            err.header = `Couldn't load rnbo.js v${version}`;
+            err.description = `Neither ${urls.local} nor the RNBO CDN could be reached.` +
+                ` To run without an internet connection, download rnbo.min.js for` +
+                ` v${version} from ${urls.cdn} and put it at ${urls.local}.`;
+            throw err;
+        }
+    }
+}
+
+// A pattern change stamped with an audio-clock time (ms), through the
+// export's pattern inport; false if it has none
+function schedulePatternEvent(device, layout, time, value) {
+    if (!layout.patternInport) return false;
+    device.scheduleEvent(new RNBO.MessageEvent(time, layout.patternInport, [value]));
+    return true;
+}
+
+function makeTransportControls(device, context, transport, launchQuantizer, layout, root = document) {
+    const transportDiv = root.getElementById("transport-controls");
+    if (!transportDiv) return;
+
+    // Patchers without a pattern parameter still get a working transport
+    const loopSelectParam = device.parameters.find(p => p.id === layout.patternParam);
+
+    transportDiv.setAttribute("role", "group");
+    transportDiv.setAttribute("aria-label", "Transport");
+
+    const playButton = document.createElement("button");
+    playButton.textContent = "PLAY";
+    playButton.className = "transport-button play-button";
+    playButton.id = "play-button";
+    playButton.setAttribute("aria-pressed", "false");
+
+    const stopButton = document.createElement("button");
+    stopButton.textContent = "STOP";
+    stopButton.className = "transport-button stop-button";
+    stopButton.id = "stop-button";
+    stopButton.setAttribute("aria-pressed", "true");
+
+    let lastLoopValue = 1;
+
+    const setPressed = (running) => {
+        playButton.classList.toggle("active", running);
+        stopButton.classList.toggle("active", !running);
+        playButton.setAttribute("aria-pressed", String(running));
+        stopButton.setAttribute("aria-pressed", String(!running));
+    };
+
+    const play = () => {
+        transport.setRunning(true);
+        if (loopSelectParam) loopSelectParam.value = lastLoopValue;
+        setPressed(true);
+        announce("Playing", root);
+    };
+
+    const stop = () => {
+        if (loopSelectParam) loopSelectParam.value = 0;
+        transport.setRunning(false);
+        transport.setBeatTime(0);
+        setPressed(false);
+        announce("Stopped", root);
+    };
+
+    // PLAY starts right away when stopped; while running it only cancels a queued STOP
+    const handlePlay = async (e) => {
+        if (e) e.preventDefault();
+        await context.resume();
+        if (launchQuantizer.isQueued("transport")) {
+            launchQuantizer.cancel("transport");
+            return;
+        }
+        play();
+    };
+
+    // The device stops on the launch point itself; stop() follows for the page
+    const sendStop = (time) => {
+        schedulePatternEvent(device, layout, time, 0);
+        device.scheduleEvent(new RNBO.TransportEvent(time, 0));
+        device.scheduleEvent(new RNBO.BeatTimeEvent(time, 0));
+    };
+
+    // STOP waits for the launch grid; pressing it again while queued cancels
+    const handleStop = (e) => {
+        if (e) e.preventDefault();
+        if (launchQuantizer.isQueued("transport", stopButton)) {
+            launchQuantizer.cancel("transport");
+            return;
+        }
+        launchQuantizer.schedule("transport", stop, stopButton, sendStop);
+        if (launchQuantizer.isQueued("transport")) announce("Stop queued", root);
+    };
+
+    // What the SPACE shortcut does: the same as pressing PLAY or STOP
+    const toggle = () => {
+        if (transport.running) {
+            handleStop();
+        } else {
+            handlePlay();
+        }
+    };
+
+    playButton.addEventListener("click", handlePlay);
+    playButton.addEventListener("touchstart", handlePlay, { passive: false });
+
+    stopButton.addEventListener("click", handleStop);
+    stopButton.addEventListener("touchstart", handleStop, { passive: false });
+
+    setPressed(false);
+
+    transportDiv.appendChild(playButton);
+    transportDiv.appendChild(stopButton);
+
+    return {
+        play,
+        stop,
+        sendStop,
+        toggle,
+        setPressed,
+        // The loop PLAY starts, kept up to date by the loop buttons
+        setLastLoop(value) {
+            if (value > 0) {
+                lastLoopValue = value;
+            }
+        }
+    };
+}
+
+function makeDrumLoopButtons(device, context, transport, launchQuantizer, loopSlots, layout, transportControls, root = document) {
+    const loopDiv = root.getElementById("drum-loop-buttons");
+    if (!loopDiv) return;
+
+    const loopSelectParam = device.parameters.find(p => p.id === layout.patternParam);
+    if (!loopSelectParam) return;
+
+    // The pattern parameter counts loops from 1 (0 is silence): one button per
+    // loop buffer, or per whole value up to its maximum if there are none
+    const loopCount = loopSlots.length || Math.floor(loopSelectParam.max);
+    const drumLoops = Array.from({ length: loopCount }, (_, index) => ({
+        name: layout.patternLabels[index] || `LOOP ${index + 1}`,
+        value: index + 1,
+        bufferId: loopSlots[index] && loopSlots[index].id
+    })).filter(loop => loop.value <= loopSelectParam.max);
+    if (!drumLoops.length) return;
+    loopDiv.setAttribute("role", "group");
+    loopDiv.setAttribute("aria-label", "Pattern");
+    const buttons = {};
+    let currentLoop = drumLoops[0].value;
+
+    drumLoops.forEach((loop, index) => {
+        const button = document.createElement("button");
+        button.textContent = loop.name;
+        button.className = "loop-button";
+        button.dataset.loopValue = loop.value;
+        if (loop.bufferId) button.dataset.bufferId = loop.bufferId;
+
+        button.setAttribute("aria-pressed", String(index === 0));
+        if (index === 0) {
+            button.classList.add("active");
+        }
+
+        const handleLoopSelect = (e) => {
+            if (e) e.preventDefault();
+            return selectLoop(loop.value);
+        };
+
+        button.addEventListener("click", handleLoopSelect);
+        button.addEventListener("touchstart", handleLoopSelect, { passive: false });
+
+        loopDiv.appendChild(button);
+        buttons[loop.value] = button;
+    });
+
+    const markActive = (button) => {
+        Object.values(buttons).forEach(btn => {
+            btn.classList.toggle("active", btn === button);
+            btn.setAttribute("aria-pressed", String(btn === button));
+        });
+    };
+
+    const applyLoop = (value) => {
+        const button = buttons[value];
+        if (!button || button.disabled) return;
+        currentLoop = value;
+        transport.setRunning(true);
+        loopSelectParam.value = value;
+
+        markActive(button);
+        announce(`${button.textContent} playing`, root);
+
+        if (transportControls) {
+            transportControls.setLastLoop(value);
+            transportControls.setPressed(true);
+        }
+    };
+
+    // Makes a loop the one PLAY starts, without starting it
+    const cueLoop = (value) => {
+        const button = buttons[value];
+        if (!button || button.disabled) return false;
+        currentLoop = value;
+        markActive(button);
+        if (transportControls) transportControls.setLastLoop(value);
+        return true;
+    };
+
+    // For the launch quantizer: sends the change ahead, stamped, if the export
+    // can take it that way
+    const sendLoop = (value) => layout.patternInport ? (time) => schedulePatternEvent(device, layout, time, value) : undefined;
+
+    // Queues the change on the launch grid; pressing a queued loop again cancels it
+    const selectLoop = async (value) => {
+        const button = buttons[value];
+        if (!button || button.disabled) return;
+
+        if (launchQuantizer.isQueued("loop", button)) {
+            launchQuantizer.cancel("loop");
+            return;
+        }
+
+        await context.resume();
+        if (transport.running && loopSelectParam.value === value) {
+            launchQuantizer.cancel("loop");
+            return;
+        }
+        launchQuantizer.schedule("loop", () => applyLoop(value), button, sendLoop(value));
+        if (launchQuantizer.isQueued("loop")) announce(`${button.textContent} queued`, root);
+    };
+
+    // A loop whose buffer failed to load is disabled rather than left silent;
+    // a null message enables it again
+    const setBufferError = (bufferId, message) => {
+        Object.values(buttons).forEach(button => {
+            if (button.dataset.bufferId !== bufferId) return;
+            button.disabled = !!message;
+            button.title = message || "";
+        });
+    };
+
+    return {
+        selectLoop,
+        applyLoop,
+        sendLoop,
+        cueLoop,
+        setBufferError,
+        buttons,
+        get currentLoop() { return currentLoop; }
+    };
+}
+
+// Players on one page share a context; browsers limit how many can be open
+function sharedPlayerContext() {
+    if (!playerContext) {
+        const WAContext = window.AudioContext || window.webkitAudioContext;
+        playerContext = new WAContext();
+    }
+    return playerContext;
+}
+
+function makePlayerEvents() {
+    const listeners = {};
+    PLAYER_EVENTS.forEach(name => { listeners[name] = []; });
+    return {
+        on(name, listener) {
+            if (!listeners[name]) throw new Error(`Unknown player event "${name}"; use ${PLAYER_EVENTS.join(", ")}`);
+            listeners[name].push(listener);
+            return () => {
+                const index = listeners[name].indexOf(listener);
+                if (index >= 0) listeners[name].splice(index, 1);
+            };
+        },
+        emit(name, detail) {
+            listeners[name].forEach(listener => listener(detail));
+        }
+    };
+}
+
+// An export URL as a manifest entry, with its dependencies and media beside it
+function playerEntryFromURL(src) {
+    const url = new URL(src, document.baseURI).href;
+    const slash = url.lastIndexOf("/") + 1;
+    return resolvePatcherEntry({ id: url, name: url.slice(slash), folder: url.slice(0, slash), patcher: url.slice(slash) });
+}
+
+// Builds a player into root, a document or shadow root with the player's
+// markup, and resolves to its scripting API. Options: src, tempo, loop, and
+// context and destination to play somewhere other than the shared context.
+async function createGlowstatePlayer(root, options = {}) {
+    const context = options.context || sharedPlayerContext();
+    const events = options.events || makePlayerEvents();
+    const src = options.src || new URL(DEFAULT_PATCHER_ENTRY.folder + DEFAULT_PATCHER_ENTRY.patcher, PLAYER_BASE_URL).href;
+    const { patcher, device, layout } = await loadPatcher(context, playerEntryFromURL(src), makeLoadingScreen(root));
+
+    const output = context.createGain();
+    output.connect(options.destination || context.destination);
+    device.node.connect(output);
+
+    // A page's players keep their tempo to themselves
+    const transport = makeTransport(device, context, options.tempo, false);
+    makeTransportPanel(transport, root);
+    const launchQuantizer = makeLaunchQuantizer(transport, context, root);
+    const transportControls = makeTransportControls(device, context, transport, launchQuantizer, layout, root);
+    const loopControls = makeDrumLoopButtons(device, context, transport, launchQuantizer, loopSlotsFromPatcher(patcher), layout, transportControls, root);
+    const smoother = makeParamSmoother(root);
+    const parameterItems = makeParameterUI(device, layout, smoother, root);
+    if (options.loop && loopControls) loopControls.cueLoop(options.loop);
+
+    const pattern = device.parameters.find(p => p.id === layout.patternParam);
+    subscribeParamChanges(device, smoother, (param, value) => {
+        if (param !== pattern) {
+            events.emit("param", { id: param.id, value });
+        } else if (value > 0) {
+            events.emit("loop", { loop: value });
+        }
+    });
+
+    // Beats are reported as they are reached, by a timer aimed at the next one
+    let lastBeat = null;
+    let beatTimer = null;
+    const watchBeats = () => {
+        clearTimeout(beatTimer);
+        beatTimer = null;
+        if (!transport.running) {
+            lastBeat = null;
+            return;
+        }
+        const beatLength = transport.beatLength();
+        const beatTime = transport.getBeatTime();
+        const beat = Math.floor(beatTime / beatLength);
+        if (beat !== lastBeat) {
+            lastBeat = beat;
+            events.emit("beat", { bar: Math.floor(beat / transport.numerator) + 1, beat: beat % transport.numerator + 1, beatTime });
+        }
+        const delay = (transport.timeAtBeat((beat + 1) * beatLength) - context.currentTime) * 1000;
+        beatTimer = setTimeout(watchBeats, Math.min(Math.max(delay, 1), PLAYER_BEAT_INTERVAL));
+    };
+    transport.subscribe(() => {
+        if (transport.running && beatTimer === null) watchBeats();
+    });
+
+    return {
+        device,
+        transport,
+        on: events.on,
+
+        async play() {
+            await context.resume();
+            if (transportControls) transportControls.play(); else transport.setRunning(true);
+        },
+
+        stop() {
+            if (transportControls) transportControls.stop(); else transport.setRunning(false);
+        },
+
+        // Like pressing the loop's button while playing; while stopped it
+        // only becomes the loop PLAY starts
+        setLoop(value) {
+            if (!loopControls || !loopControls.buttons[value]) return false;
+            if (transport.running) loopControls.selectLoop(value); else loopControls.cueLoop(value);
+            return true;
+        },
+
+        setParam(id, value) {
+            const param = device.parameters.find(p => p.id === id && p !== pattern);
+            value = Number(value);
+            if (!param || isNaN(value)) return false;
+            const item = parameterItems.find(i => i.id === id);
+            if (item) item.setValue(clampParamValue(param, value)); else param.value = clampParamValue(param, value);
+            return true;
+        },
+
+        setTempo(bpm) {
+            transport.setTempo(bpm);
+        },
+
+        getState() {
+            const params = {};
+            device.parameters.filter(p => p !== pattern).forEach(p => { params[p.id] = p.value; });
+            return {
+                playing: transport.running,
+                tempo: transport.tempo,
+                beatTime: transport.getBeatTime(),
+                loop: loopControls ? loopControls.currentLoop : null,
+                params
+            };
+        },
+
+        destroy() {
+            transport.setRunning(false);
+            clearTimeout(beatTimer);
+            device.node.disconnect();
+            output.disconnect();
+        }
+    };
+}
+
+const PLAYER_TEMPLATE = `
+    <link rel="stylesheet" href="${PLAYER_BASE_URL}style/style.css">
+    <div id="loading-screen" class="loading-screen" hidden>
+        <div class="loading-panel">
+            <h3 class="group-label">LOADING</h3>
+            <span id="loading-step" class="panel-status"></span>
+            <div id="loading-files" class="loading-files"></div>
+        </div>
+    </div>
+    <div id="sr-announcer" class="visually-hidden" aria-live="polite"></div>
+    <div class="equipment-panel">
+        <span id="player-status" class="panel-status" role="alert"></span>
+        <div class="control-row">
+            <div class="control-group transport-group">
+                <h3 class="group-label">TRANSPORT</h3>
+                <div id="transport-controls" class="transport-container" data-control="transport"></div>
+                <div class="transport-panel" data-control="tempo">
+                    <div id="position-readout" class="position-readout" aria-label="Position (bar:beat:tick)">1:1:000</div>
+                    <div class="tempo-controls">
+                        <button id="tempo-nudge-down" class="small-button" aria-label="Nudge tempo down">&minus;</button>
+                        <input id="tempo-input" class="text-input tempo-input" type="number" min="20" max="300" step="0.01" aria-label="Tempo (BPM)">
+                        <button id="tempo-nudge-up" class="small-button" aria-label="Nudge tempo up">+</button>
+                        <span class="param-label">BPM</span>
+                        <button id="tap-tempo-button" class="small-button">TAP</button>
+                    </div>
+                </div>
+            </div>
+            <div class="control-group loops-group" data-control="loops">
+                <h3 class="group-label">PATTERN SELECT</h3>
+                <div id="drum-loop-buttons" class="drum-loop-container"></div>
+            </div>
+        </div>
+        <div id="rnbo-parameter-groups" class="control-row" data-control="params"></div>
+    </div>
+`;
+
+class GlowstatePlayer extends HTMLElement {
+    static get observedAttributes() {
+        return ["tempo", "loop", "controls"];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: "open" });
+        this.shadowRoot.innerHTML = PLAYER_TEMPLATE;
+        this.events = makePlayerEvents();
+        this.player = null;
+        // Resolves to the player once its export has loaded
+        this.ready = null;
+    }
+
+    connectedCallback() {
+        this.showControls();
+        if (this.ready) return;
+        this.ready = createGlowstatePlayer(this.shadowRoot, {
+            src: this.getAttribute("src") || undefined,
+            tempo: Number.parseFloat(this.getAttribute("tempo")) || undefined,
+            loop: Number.parseInt(this.getAttribute("loop"), 10) || undefined,
+            events: this.events
+        }).then(player => {
+            this.player = player;
+            this.dispatchEvent(new CustomEvent("ready"));
+            return player;
+        }, err => {
+            console.error("<glowstate-player> couldn't load:", err);
+            this.shadowRoot.getElementById("player-status").textContent = err.header || `Couldn't load the player: ${err.message}`;
+            this.dispatchEvent(new CustomEvent("error", { detail: err }));
+            throw err;
+        });
+        // Failures are reported above, whether or not anyone awaits ready
+        this.ready.catch(() => {});
+    }
+
+    // Taken off the page, a player goes quiet; put back, it carries on
+    disconnectedCallback() {
+        if (this.player) this.player.stop();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (name === "controls") this.showControls();
+        if (!this.player) return;
+        if (name === "tempo") this.player.setTempo(value);
+        if (name === "loop") this.player.setLoop(Number.parseInt(value, 10));
+    }
+
+    showControls() {
+        const shown = (this.getAttribute("controls") || PLAYER_CONTROLS.join(" ")).split(/[\s,]+/);
+        this.shadowRoot.querySelectorAll("[data-control]").forEach(el => {
+            el.hidden = !shown.includes(el.dataset.control);
+        });
+        this.shadowRoot.querySelector(".transport-group").hidden = !shown.includes("transport") && !shown.includes("tempo");
+    }
+
+    whenReady() {
+        return this.ready || Promise.reject(new Error("<glowstate-player> isn't on the page yet"));
+    }
+
+    play() {
+        return this.whenReady().then(player => player.play());
+    }
+
+    stop() {
+        return this.whenReady().then(player => player.stop());
+    }
+
+    setLoop(value) {
+        return this.whenReady().then(player => player.setLoop(value));
+    }
+
+    setParam(id, value) {
+        return this.whenReady().then(player => player.setParam(id, value));
+    }
+
+    setTempo(bpm) {
+        return this.whenReady().then(player => player.setTempo(bpm));
+    }
+
+    // null until the export has loaded
+    getState() {
+        return this.player ? this.player.getState() : null;
+    }
+
+    on(name, listener) {
+        return this.events.on(name, listener);
+    }
+}
+
+if (window.customElements && !customElements.get("glowstate-player")) {
+    customElements.define("glowstate-player", GlowstatePlayer);
+}
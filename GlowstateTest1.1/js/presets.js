@@ -0,0 +1,316 @@
+/**
+ * Preset manager: lists the factory presets shipped in the patcher export,
+ * keeps user presets in IndexedDB (save, overwrite, rename, delete), moves
+ * them in and out as JSON files and morphs between any two presets.
+ *
+ * Other subsystems can store their own state with user presets by passing an
+ * extras object of { name: { getState(), setState(state) } } to loadPresets.
+ */
+
+const PRESET_FILE_TYPE = "glowstate-presets";
+
+// Presets capture the sound, not the performance: recalling one shouldn't
+// change or stop the pattern that is playing, so callers pass the pattern
+// parameter as excluded
+function withoutExcludedParams(preset, excludedParams) {
+    const filtered = Object.assign({}, preset);
+    excludedParams.forEach(id => delete filtered[id]);
+    return filtered;
+}
+
+function presetParamValue(preset, paramId) {
+    const entry = preset[paramId];
+    return entry && typeof entry.value === "number" ? entry.value : undefined;
+}
+
+function loadPresets(device, patcher, extras = {}, excludedParams = []) {
+    const presetSelect = document.getElementById("preset-select");
+    if (!presetSelect) return;
+
+    const nameInput = document.getElementById("preset-name");
+    const saveButton = document.getElementById("preset-save-button");
+    const overwriteButton = document.getElementById("preset-overwrite-button");
+    const renameButton = document.getElementById("preset-rename-button");
+    const deleteButton = document.getElementById("preset-delete-button");
+    const exportButton = document.getElementById("preset-export-button");
+    const importInput = document.getElementById("preset-import-input");
+    const morphFromSelect = document.getElementById("morph-from-select");
+    const morphToSelect = document.getElementById("morph-to-select");
+    const morphTimeInput = document.getElementById("morph-time");
+    const morphButton = document.getElementById("morph-button");
+    const morphProgress = document.getElementById("morph-progress");
+    const statusText = document.getElementById("preset-status");
+
+    const factoryPresets = (patcher.presets || []).map((preset, index) => ({
+        key: `factory:${index}`,
+        name: preset.name,
+        preset: preset.preset,
+        factory: true
+    }));
+    let userPresets = [];
+    let morphFrame = null;
+    let activeKey = null;
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    const collectExtras = () => {
+        const state = {};
+        Object.keys(extras).forEach(name => {
+            state[name] = extras[name].getState();
+        });
+        return state;
+    };
+
+    const applyExtras = (state) => {
+        if (!state) return;
+        Object.keys(extras).forEach(name => {
+            if (state[name] !== undefined) extras[name].setState(state[name]);
+        });
+    };
+
+    const allPresets = () => factoryPresets.concat(userPresets);
+    const findPreset = (key) => allPresets().find(p => p.key === key);
+    const selectedPreset = () => findPreset(presetSelect.value);
+
+    const fillSelect = (select, selectedKey) => {
+        select.innerHTML = "";
+        [["FACTORY", factoryPresets], ["USER", userPresets]].forEach(([label, presets]) => {
+            if (!presets.length) return;
+            const group = document.createElement("optgroup");
+            group.label = label;
+            presets.forEach(preset => {
+                const option = document.createElement("option");
+                option.innerText = preset.name;
+                option.value = preset.key;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        });
+        if (selectedKey && findPreset(selectedKey)) select.value = selectedKey;
+    };
+
+    const updateButtons = () => {
+        const preset = selectedPreset();
+        const editable = !!preset && !preset.factory;
+        [overwriteButton, renameButton, deleteButton].forEach(button => {
+            if (button) button.disabled = !editable;
+        });
+    };
+
+    const render = (selectedKey) => {
+        const morphFrom = morphFromSelect && morphFromSelect.value;
+        const morphTo = morphToSelect && morphToSelect.value;
+        fillSelect(presetSelect, selectedKey || presetSelect.value);
+        if (morphFromSelect) fillSelect(morphFromSelect, morphFrom);
+        if (morphToSelect) fillSelect(morphToSelect, morphTo);
+        updateButtons();
+    };
+
+    const refreshUserPresets = async () => {
+        try {
+            const records = await dbGetAll("presets");
+            userPresets = records.map(record => Object.assign({ key: `user:${record.id}` }, record));
+        } catch (err) {
+            setStatus(`User presets unavailable: ${err.message}`);
+        }
+    };
+
+    const storeUserPreset = async (record) => {
+        const id = await dbPut("presets", record);
+        await refreshUserPresets();
+        render(`user:${id}`);
+        return id;
+    };
+
+    const stopMorph = () => {
+        if (morphFrame !== null) cancelAnimationFrame(morphFrame);
+        morphFrame = null;
+        if (morphProgress) morphProgress.value = 0;
+    };
+
+    const applyPreset = (preset) => {
+        stopMorph();
+        device.setPreset(withoutExcludedParams(preset.preset, excludedParams));
+        applyExtras(preset.extras);
+        activeKey = preset.key;
+        setStatus(`Loaded "${preset.name}"`);
+    };
+
+    const morph = (from, to, seconds) => {
+        stopMorph();
+        const morphParams = device.parameters
+            .filter(param => !excludedParams.includes(param.id))
+            .map(param => ({
+                param,
+                start: presetParamValue(from.preset, param.id),
+                end: presetParamValue(to.preset, param.id),
+                discrete: param.isEnum || param.steps > 1
+            }))
+            .filter(p => p.start !== undefined && p.end !== undefined);
+
+        const duration = Math.max(seconds, 0) * 1000;
+        const startTime = performance.now();
+
+        const step = (now) => {
+            const t = duration > 0 ? Math.min((now - startTime) / duration, 1) : 1;
+            morphParams.forEach(({ param, start, end, discrete }) => {
+                param.value = discrete ? (t < 0.5 ? start : end) : start + (end - start) * t;
+            });
+            if (morphProgress) morphProgress.value = t;
+            if (t < 1) {
+                morphFrame = requestAnimationFrame(step);
+            } else {
+                morphFrame = null;
+                activeKey = to.key;
+                setStatus(`Morphed to "${to.name}"`);
+            }
+        };
+        setStatus(`Morphing "${from.name}" → "${to.name}"`);
+        morphFrame = requestAnimationFrame(step);
+    };
+
+    presetSelect.addEventListener("change", () => {
+        const preset = selectedPreset();
+        updateButtons();
+        if (preset) applyPreset(preset);
+    });
+
+    if (saveButton) {
+        saveButton.addEventListener("click", async () => {
+            const name = nameInput && nameInput.value.trim();
+            if (!name) {
+                setStatus("Enter a name to save a preset");
+                return;
+            }
+            try {
+                await storeUserPreset({
+                    name,
+                    preset: await device.getPreset(),
+                    extras: collectExtras(),
+                    createdAt: Date.now()
+                });
+                setStatus(`Saved "${name}"`);
+            } catch (err) {
+                setStatus(`Save failed: ${err.message}`);
+            }
+        });
+    }
+
+    if (overwriteButton) {
+        overwriteButton.addEventListener("click", async () => {
+            const preset = selectedPreset();
+            if (!preset || preset.factory) return;
+            try {
+                const record = await dbGet("presets", preset.id);
+                record.preset = await device.getPreset();
+                record.extras = collectExtras();
+                await storeUserPreset(record);
+                setStatus(`Overwrote "${record.name}"`);
+            } catch (err) {
+                setStatus(`Overwrite failed: ${err.message}`);
+            }
+        });
+    }
+
+    if (renameButton) {
+        renameButton.addEventListener("click", async () => {
+            const preset = selectedPreset();
+            const name = nameInput && nameInput.value.trim();
+            if (!preset || preset.factory) return;
+            if (!name) {
+                setStatus("Enter the new name first");
+                return;
+            }
+            try {
+                const record = await dbGet("presets", preset.id);
+                record.name = name;
+                await storeUserPreset(record);
+                setStatus(`Renamed to "${name}"`);
+            } catch (err) {
+                setStatus(`Rename failed: ${err.message}`);
+            }
+        });
+    }
+
+    if (deleteButton) {
+        deleteButton.addEventListener("click", async () => {
+            const preset = selectedPreset();
+            if (!preset || preset.factory) return;
+            try {
+                await dbDelete("presets", preset.id);
+                await refreshUserPresets();
+                render();
+                setStatus(`Deleted "${preset.name}"`);
+            } catch (err) {
+                setStatus(`Delete failed: ${err.message}`);
+            }
+        });
+    }
+
+    if (exportButton) {
+        exportButton.addEventListener("click", () => {
+            const file = {
+                type: PRESET_FILE_TYPE,
+                version: 1,
+                presets: userPresets.map(({ name, preset, extras }) => ({ name, preset, extras }))
+            };
+            const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+            downloadBlob(blob, "glowstate-presets.json");
+        });
+    }
+
+    if (importInput) {
+        importInput.addEventListener("change", async () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            try {
+                const contents = JSON.parse(await file.text());
+                // Accept our own export format as well as a bare RNBO-style presets array
+                const imported = Array.isArray(contents) ? contents : contents.presets;
+                if (!Array.isArray(imported) || !imported.every(p => p && typeof p.name === "string" && p.preset)) {
+                    throw new Error("Not a preset file");
+                }
+                for (const { name, preset, extras } of imported) {
+                    await dbPut("presets", { name, preset, extras, createdAt: Date.now() });
+                }
+                await refreshUserPresets();
+                render();
+                setStatus(`Imported ${imported.length} preset${imported.length === 1 ? "" : "s"}`);
+            } catch (err) {
+                setStatus(`Import failed: ${err.message}`);
+            }
+            importInput.value = "";
+        });
+    }
+
+    if (morphButton) {
+        morphButton.addEventListener("click", () => {
+            const from = findPreset(morphFromSelect.value);
+            const to = findPreset(morphToSelect.value);
+            if (!from || !to) return;
+            const seconds = Number.parseFloat(morphTimeInput.value);
+            morph(from, to, isNaN(seconds) ? 0 : seconds);
+        });
+    }
+
+    render();
+    const userPresetsRead = refreshUserPresets().then(() => render());
+
+    return {
+        // Key of the preset last loaded, e.g. "factory:0" or "user:3"
+        get activeKey() { return activeKey; },
+
+        // Loads a preset by key once the user presets are read; false if
+        // there is no such preset
+        async load(key) {
+            await userPresetsRead;
+            const preset = findPreset(key);
+            if (!preset) return false;
+            render(key);
+            applyPreset(preset);
+            return true;
+        }
+    };
+}
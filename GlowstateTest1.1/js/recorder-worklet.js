@@ -0,0 +1,54 @@
+/**
+ * AudioWorklet side of the take recorder. While recording, copies its stereo
+ * input into blocks of RECORDER_BLOCK_FRAMES frames and posts each block to
+ * the main thread as [left, right] Float32Arrays.
+ */
+
+const RECORDER_BLOCK_FRAMES = 4096;
+
+class GlowstateRecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.recording = false;
+        this.resetBlock();
+        this.port.onmessage = (event) => {
+            if (event.data.command === "start") {
+                this.resetBlock();
+                this.recording = true;
+            } else if (event.data.command === "stop") {
+                this.flush();
+                this.recording = false;
+                this.port.postMessage({ done: true });
+            }
+        };
+    }
+
+    resetBlock() {
+        this.block = [new Float32Array(RECORDER_BLOCK_FRAMES), new Float32Array(RECORDER_BLOCK_FRAMES)];
+        this.blockFrames = 0;
+    }
+
+    flush() {
+        if (this.blockFrames > 0) {
+            const channels = this.block.map(channel => channel.slice(0, this.blockFrames));
+            this.port.postMessage({ channels }, channels.map(channel => channel.buffer));
+        }
+        this.resetBlock();
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!this.recording || !input || !input.length) return true;
+
+        const frames = input[0].length;
+        for (let c = 0; c < 2; c++) {
+            // A mono input is recorded on both sides
+            this.block[c].set(input[Math.min(c, input.length - 1)], this.blockFrames);
+        }
+        this.blockFrames += frames;
+        if (this.blockFrames + frames > RECORDER_BLOCK_FRAMES) this.flush();
+        return true;
+    }
+}
+
+registerProcessor("glowstate-recorder", GlowstateRecorderProcessor);
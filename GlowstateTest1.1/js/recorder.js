@@ -0,0 +1,284 @@
+/**
+ * Take recorder: taps the master output with an AudioWorklet and records it,
+ * live slider tweaks included, into a take list. Take metadata (name,
+ * duration, waveform thumbnail) lives in the "takes" store and the audio in
+ * "takeAudio" under the same id, so listing takes doesn't load any audio.
+ */
+
+const RECORDER_WORKLET_URL = "js/recorder-worklet.js";
+const RECORDER_THUMBNAIL_POINTS = 120;
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, "0")}`;
+}
+
+// Peak level per slice of the take, for drawing the thumbnail
+function computePeaks(channels, points) {
+    const peaks = new Float32Array(points);
+    const length = channels[0].length;
+    const sliceLength = Math.max(1, Math.floor(length / points));
+    for (let p = 0; p < points; p++) {
+        let peak = 0;
+        const end = Math.min(length, (p + 1) * sliceLength);
+        for (let i = p * sliceLength; i < end; i++) {
+            for (let c = 0; c < channels.length; c++) {
+                const sample = Math.abs(channels[c][i]);
+                if (sample > peak) peak = sample;
+            }
+        }
+        peaks[p] = peak;
+    }
+    return peaks;
+}
+
+function drawPeaks(canvas, peaks) {
+    const ctx = canvas.getContext("2d");
+    const { width, height } = canvas;
+    const barWidth = width / peaks.length;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "#b537f2";
+    peaks.forEach((peak, i) => {
+        const barHeight = Math.max(1, Math.min(peak, 1) * height);
+        ctx.fillRect(i * barWidth, (height - barHeight) / 2, Math.max(barWidth - 0.5, 0.5), barHeight);
+    });
+}
+
+async function makeTakeRecorder(context, sourceNode, playbackNode = context.destination) {
+    const recordButton = document.getElementById("take-record-button");
+    const timeText = document.getElementById("take-record-time");
+    const takesDiv = document.getElementById("take-list");
+    const statusText = document.getElementById("take-status");
+    if (!recordButton) return;
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    if (!context.audioWorklet) {
+        recordButton.disabled = true;
+        setStatus("Recording needs AudioWorklet support");
+        return;
+    }
+
+    await context.audioWorklet.addModule(RECORDER_WORKLET_URL);
+    const recorderNode = new AudioWorkletNode(context, "glowstate-recorder", {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 2,
+        channelCountMode: "explicit"
+    });
+    sourceNode.connect(recorderNode);
+
+    let recording = false;
+    // Set while start() waits for the context, so a double tap starts one take
+    let starting = false;
+    let chunks = [];
+    let recordedFrames = 0;
+    let startedAt = 0;
+    let clockFrame = null;
+    let finishRecording = null;
+    let preview = null;
+
+    recorderNode.port.onmessage = (event) => {
+        if (event.data.channels) {
+            chunks.push(event.data.channels);
+            recordedFrames += event.data.channels[0].length;
+        } else if (event.data.done && finishRecording) {
+            finishRecording();
+        }
+    };
+
+    const stopPreview = () => {
+        if (!preview) return;
+        preview.source.onended = null;
+        preview.source.stop();
+        preview.button.textContent = "▶";
+        preview = null;
+    };
+
+    const loadTakeBuffer = async (take) => {
+        const audio = await dbGet("takeAudio", take.id);
+        const buffer = context.createBuffer(audio.channels.length, audio.channels[0].length, take.sampleRate);
+        audio.channels.forEach((channel, c) => buffer.copyToChannel(channel, c));
+        return buffer;
+    };
+
+    const makeTakeRow = (take) => {
+        const row = document.createElement("div");
+        row.className = "take";
+
+        const playButton = document.createElement("button");
+        playButton.className = "small-button";
+        playButton.textContent = "▶";
+        playButton.setAttribute("aria-label", `Play ${take.name}`);
+        playButton.addEventListener("click", async () => {
+            const wasPlaying = preview && preview.button === playButton;
+            stopPreview();
+            if (wasPlaying) return;
+            try {
+                await context.resume();
+                const source = context.createBufferSource();
+                source.buffer = await loadTakeBuffer(take);
+                source.connect(playbackNode);
+                source.onended = stopPreview;
+                source.start();
+                preview = { source, button: playButton };
+                playButton.textContent = "■";
+            } catch (err) {
+                setStatus(`Playback failed: ${err.message}`);
+            }
+        });
+
+        const canvas = document.createElement("canvas");
+        canvas.className = "take-thumbnail";
+        canvas.width = RECORDER_THUMBNAIL_POINTS * 2;
+        canvas.height = 32;
+        drawPeaks(canvas, take.peaks);
+
+        const nameInput = document.createElement("input");
+        nameInput.type = "text";
+        nameInput.className = "text-input take-name";
+        nameInput.value = take.name;
+        nameInput.setAttribute("aria-label", "Take name");
+        nameInput.addEventListener("change", async () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                nameInput.value = take.name;
+                return;
+            }
+            take.name = name;
+            try {
+                await dbPut("takes", take);
+            } catch (err) {
+                setStatus(`Rename failed: ${err.message}`);
+            }
+        });
+
+        const duration = document.createElement("span");
+        duration.className = "panel-status";
+        duration.textContent = formatDuration(take.duration);
+
+        const downloadButton = document.createElement("button");
+        downloadButton.className = "small-button";
+        downloadButton.textContent = "WAV";
+        downloadButton.setAttribute("aria-label", `Download ${take.name}`);
+        downloadButton.addEventListener("click", async () => {
+            try {
+                downloadBlob(encodeWav(await loadTakeBuffer(take), 16), `${take.name}.wav`);
+            } catch (err) {
+                setStatus(`Download failed: ${err.message}`);
+            }
+        });
+
+        const deleteButton = document.createElement("button");
+        deleteButton.className = "small-button";
+        deleteButton.textContent = "✕";
+        deleteButton.setAttribute("aria-label", `Delete ${take.name}`);
+        deleteButton.addEventListener("click", async () => {
+            if (preview && preview.button === playButton) stopPreview();
+            try {
+                await dbDelete("takes", take.id);
+                await dbDelete("takeAudio", take.id);
+                row.remove();
+            } catch (err) {
+                setStatus(`Delete failed: ${err.message}`);
+            }
+        });
+
+        row.appendChild(playButton);
+        row.appendChild(canvas);
+        row.appendChild(nameInput);
+        row.appendChild(duration);
+        row.appendChild(downloadButton);
+        row.appendChild(deleteButton);
+        return row;
+    };
+
+    const renderTakes = async () => {
+        if (!takesDiv) return;
+        try {
+            const takes = await dbGetAll("takes");
+            takesDiv.innerHTML = "";
+            takes.sort((a, b) => b.createdAt - a.createdAt).forEach(take => takesDiv.appendChild(makeTakeRow(take)));
+        } catch (err) {
+            setStatus(`Takes unavailable: ${err.message}`);
+        }
+    };
+
+    const saveTake = async () => {
+        if (!recordedFrames) return;
+        const channels = [new Float32Array(recordedFrames), new Float32Array(recordedFrames)];
+        let offset = 0;
+        chunks.forEach(chunk => {
+            channels[0].set(chunk[0], offset);
+            channels[1].set(chunk[1], offset);
+            offset += chunk[0].length;
+        });
+        chunks = [];
+
+        const createdAt = Date.now();
+        const take = {
+            name: `Take ${new Date(createdAt).toLocaleString()}`,
+            createdAt,
+            sampleRate: context.sampleRate,
+            duration: recordedFrames / context.sampleRate,
+            peaks: computePeaks(channels, RECORDER_THUMBNAIL_POINTS)
+        };
+        take.id = await dbPut("takes", take);
+        await dbPut("takeAudio", { id: take.id, channels });
+        if (takesDiv) takesDiv.insertBefore(makeTakeRow(take), takesDiv.firstChild);
+        setStatus(`Saved ${take.name}`);
+    };
+
+    const updateClock = () => {
+        if (timeText) timeText.textContent = formatDuration(recording ? context.currentTime - startedAt : 0);
+        if (recording) clockFrame = requestAnimationFrame(updateClock);
+    };
+
+    const start = async () => {
+        if (starting) return;
+        starting = true;
+        try {
+            await context.resume();
+        } finally {
+            starting = false;
+        }
+        chunks = [];
+        recordedFrames = 0;
+        recording = true;
+        startedAt = context.currentTime;
+        recorderNode.port.postMessage({ command: "start" });
+        recordButton.classList.add("active");
+        setStatus("Recording…");
+        updateClock();
+    };
+
+    const stop = () => {
+        recording = false;
+        cancelAnimationFrame(clockFrame);
+        recordButton.classList.remove("active");
+        updateClock();
+        // The worklet answers "done" after posting its last partial block
+        finishRecording = async () => {
+            finishRecording = null;
+            try {
+                await saveTake();
+            } catch (err) {
+                setStatus(`Saving take failed: ${err.message}`);
+            }
+        };
+        recorderNode.port.postMessage({ command: "stop" });
+    };
+
+    recordButton.addEventListener("click", () => {
+        if (recording) {
+            stop();
+        } else {
+            start();
+        }
+    });
+
+    updateClock();
+    await renderTakes();
+}
@@ -0,0 +1,436 @@
+/**
+ * Remote control between windows and devices. Every open copy of the page
+ * shares its parameter values, the selected loop, tempo and PLAY/STOP, so
+ * any of them can be played as a control surface for the one making sound.
+ * Windows on the same machine talk over a BroadcastChannel; other devices
+ * go through the small WebSocket relay in relay/relay.js, which forwards
+ * each message to every other client.
+ *
+ * Each value is stamped with a logical clock and the id of the client that
+ * set it, and a client only applies a value with a later stamp than the one
+ * it has. Every client ends up with the same value whatever order messages
+ * arrive in, and when two people move the same control at once the later
+ * move wins. A client passes on values it applies to its other link, so a
+ * window that isn't connected to the relay still hears the phone.
+ *
+ * CONTROLLER ONLY builds the page around a stand-in for the device that
+ * holds parameter values but makes no sound, for phones that only steer.
+ * The relay address, connection and mode are kept in localStorage.
+ */
+
+const REMOTE_STORAGE_KEY = "glowstate.remote";
+const REMOTE_CHANNEL_NAME = "glowstate.remote";
+const REMOTE_RELAY_PATH = "/relay";
+// Changes are gathered and sent at most this often (ms), so a drag or a
+// smoothing ramp doesn't send a message per step
+const REMOTE_SEND_INTERVAL = 30;
+// Reconnection waits start at the first value (ms) and double up to the second
+const REMOTE_RECONNECT_MIN = 500;
+const REMOTE_RECONNECT_MAX = 10000;
+// Shared values other than parameters, in the order a batch applies them:
+// the loop is cued before PLAY so PLAY starts the right one
+const REMOTE_TRANSPORT_KEYS = ["loop", "tempo", "running"];
+
+function loadRemoteSettings() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(REMOTE_STORAGE_KEY));
+    } catch (e) {}
+    return Object.assign({ url: "", connected: false, controller: false }, stored);
+}
+
+// ?controller in the address turns controller mode on for that page only,
+// so a phone can be pointed at a link without touching the panel
+function isControllerOnly(settings = loadRemoteSettings()) {
+    return settings.controller || new URLSearchParams(window.location.search).has("controller");
+}
+
+// The relay serves the page too, so an empty address means the same host
+function remoteRelayURL(url) {
+    if (url) return url;
+    const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+    return `${protocol}//${window.location.host}${REMOTE_RELAY_PATH}`;
+}
+
+// Stamps are [clock, clientId]; the higher clock wins and the client id
+// breaks ties, so every client picks the same winner
+function compareRemoteStamps(a, b) {
+    if (!b) return 1;
+    if (a[0] !== b[0]) return a[0] - b[0];
+    return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+}
+
+function makeRemoteEvent() {
+    const listeners = [];
+    return {
+        subscribe(listener) {
+            listeners.push(listener);
+            return {
+                unsubscribe() {
+                    const index = listeners.indexOf(listener);
+                    if (index >= 0) listeners.splice(index, 1);
+                }
+            };
+        },
+        emit(value) {
+            listeners.forEach(listener => listener(value));
+        }
+    };
+}
+
+// Stands in for the RNBO device in controller mode: the patcher's parameters
+// with their ranges, change events and presets, and a silent node, so every
+// panel can be built as usual without an AudioWorklet
+function makeControllerDevice(context, patcher) {
+    const parameterChangeEvent = makeRemoteEvent();
+    const parameters = (patcher.desc.parameters || []).map(desc => {
+        let value = desc.initialValue;
+        const param = {
+            id: desc.paramId,
+            name: desc.name,
+            index: desc.index,
+            min: desc.minimum,
+            max: desc.maximum,
+            steps: desc.steps,
+            exponent: desc.exponent,
+            isEnum: desc.isEnum,
+            enumValues: desc.enumValues,
+            get value() { return value; },
+            set value(next) {
+                next = Math.min(param.max, Math.max(param.min, Number(next)));
+                if (isNaN(next) || next === value) return;
+                value = next;
+                parameterChangeEvent.emit(param);
+            }
+        };
+        return param;
+    });
+
+    return {
+        context,
+        node: context.createGain(),
+        parameters,
+        parameterChangeEvent,
+        messageEvent: makeRemoteEvent(),
+        messages: [],
+        outports: [],
+        numMidiInputPorts: 0,
+        numMidiOutputPorts: 0,
+        scheduleEvent() {},
+        async setDataBuffer() {
+            throw new Error("Controller mode has no sample buffers");
+        },
+        async getPreset() {
+            const preset = {};
+            parameters.forEach(param => {
+                preset[param.id] = { value: param.value };
+            });
+            return preset;
+        },
+        setPreset(preset) {
+            parameters.forEach(param => {
+                const entry = preset[param.id];
+                if (entry && typeof entry.value === "number") param.value = entry.value;
+            });
+        }
+    };
+}
+
+function makeRemoteControl(getSession, controllerOnly) {
+    const urlInput = document.getElementById("remote-url");
+    const connectButton = document.getElementById("remote-connect-button");
+    const controllerCheckbox = document.getElementById("remote-controller");
+    const statusText = document.getElementById("remote-status");
+
+    const settings = loadRemoteSettings();
+    const clientId = Math.random().toString(36).slice(2, 10);
+    // key -> { value, stamp }, where key is "param:<id>", "loop", "tempo" or "running"
+    const entries = {};
+    const pending = new Set();
+    let clock = 0;
+    let flushTimer = null;
+    let applying = false;
+
+    let channel = null;
+    let socket = null;
+    let reconnectTimer = null;
+    let reconnectDelay = REMOTE_RECONNECT_MIN;
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    const save = () => {
+        localStorage.setItem(REMOTE_STORAGE_KEY, JSON.stringify(settings));
+    };
+
+    // ---- Links ----
+
+    // Sends to every link except the one a message came in on
+    const send = (message, except) => {
+        if (channel && except !== channel) channel.postMessage(message);
+        if (socket && except !== socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    };
+
+    const flush = () => {
+        flushTimer = null;
+        if (!pending.size) return;
+        const changed = Array.from(pending, key => Object.assign({ key }, entries[key]));
+        pending.clear();
+        send({ type: "set", from: clientId, entries: changed });
+    };
+
+    // The values this client could set the others from. A controller has no
+    // sound of its own to offer, so it only asks.
+    const sendState = (except) => {
+        if (controllerOnly) return;
+        const all = Object.keys(entries).map(key => Object.assign({ key }, entries[key]));
+        if (all.length) send({ type: "set", from: clientId, entries: all }, except);
+    };
+
+    // ---- Local changes ----
+
+    const sameValue = (a, b) => typeof a === "number" && typeof b === "number"
+        ? Math.abs(a - b) < 1e-6
+        : a === b;
+
+    // Values we applied from elsewhere come back through the same events,
+    // and are dropped here because they match what is stored
+    const changeLocally = (key, value) => {
+        if (applying) return;
+        const entry = entries[key];
+        if (entry && sameValue(entry.value, value)) return;
+        clock++;
+        entries[key] = { value, stamp: [clock, clientId] };
+        pending.add(key);
+        if (flushTimer === null) flushTimer = setTimeout(flush, REMOTE_SEND_INTERVAL);
+    };
+
+    // Before anything has been sent the current values go in with clock 0,
+    // so any value set on purpose elsewhere wins over them. A controller's
+    // starting values also lose to those of a page making sound.
+    const seed = (key, value) => {
+        if (!entries[key]) entries[key] = { value, stamp: [0, controllerOnly ? "" : clientId] };
+    };
+
+    const noteTransport = (session) => {
+        const pattern = session.device.parameters.find(p => p.id === session.layout.patternParam);
+        if (pattern && pattern.value > 0) changeLocally("loop", pattern.value);
+        changeLocally("tempo", session.transport.tempo);
+        changeLocally("running", session.transport.running);
+    };
+
+    // ---- Remote changes ----
+
+    const apply = (key, value) => {
+        const { device, layout, transport, transportControls, loopControls, smoother } = getSession();
+        if (key.startsWith("param:")) {
+            const param = device.parameters.find(p => p.id === key.slice(6));
+            if (!param || typeof value !== "number") return;
+            // The sender only sends where a glide is heading, so it glides
+            // here as well
+            if (smoother) {
+                smoother.setValue(param, clampParamValue(param, value));
+            } else {
+                param.value = clampParamValue(param, value);
+            }
+        } else if (key === "loop") {
+            if (!loopControls || !loopControls.buttons[value]) return;
+            const pattern = device.parameters.find(p => p.id === layout.patternParam);
+            if (transport.running && pattern && pattern.value > 0) {
+                loopControls.applyLoop(value);
+            } else {
+                loopControls.cueLoop(value);
+            }
+        } else if (key === "tempo") {
+            transport.setTempo(value);
+        } else if (key === "running") {
+            if (value === transport.running) return;
+            if (transportControls) {
+                if (value) transportControls.play(); else transportControls.stop();
+            } else {
+                transport.setRunning(value);
+            }
+        }
+    };
+
+    const receive = (message, link) => {
+        if (!message || message.from === clientId) return;
+        if (message.type === "hello") {
+            sendState();
+            return;
+        }
+        if (message.type !== "set" || !Array.isArray(message.entries)) return;
+        const won = message.entries.filter(incoming => {
+            if (!incoming || typeof incoming.key !== "string" || !Array.isArray(incoming.stamp)) return false;
+            clock = Math.max(clock, incoming.stamp[0]);
+            if (compareRemoteStamps(incoming.stamp, entries[incoming.key] && entries[incoming.key].stamp) <= 0) return false;
+            entries[incoming.key] = { value: incoming.value, stamp: incoming.stamp };
+            return true;
+        });
+        if (!won.length) return;
+
+        // Side effects on the way (PLAY setting the pattern parameter to the
+        // loop before last) aren't changes of ours; only where the batch
+        // leaves the transport is, if it differs from what came in
+        const rank = (key) => REMOTE_TRANSPORT_KEYS.indexOf(key);
+        applying = true;
+        try {
+            won.slice().sort((a, b) => rank(a.key) - rank(b.key)).forEach(incoming => apply(incoming.key, incoming.value));
+        } finally {
+            applying = false;
+        }
+        noteTransport(getSession());
+
+        // Passed on once: a repeat of the same stamp doesn't win again
+        send({ type: "set", from: message.from, entries: won }, link);
+    };
+
+    if (typeof BroadcastChannel === "function") {
+        channel = new BroadcastChannel(REMOTE_CHANNEL_NAME);
+        channel.addEventListener("message", (event) => receive(event.data, channel));
+    }
+
+    // ---- Relay ----
+
+    const describe = () => {
+        if (connectButton) {
+            connectButton.textContent = settings.connected ? "DISCONNECT" : "CONNECT";
+            connectButton.setAttribute("aria-pressed", String(settings.connected));
+            connectButton.classList.toggle("active", settings.connected);
+        }
+        if (!settings.connected) {
+            setStatus(channel ? "Linked to other windows" : "");
+        } else if (socket && socket.readyState === WebSocket.OPEN) {
+            setStatus("Connected to relay");
+        } else if (reconnectTimer !== null) {
+            setStatus(`Relay unreachable, retrying in ${Math.round(reconnectDelay / 1000)} s`);
+        } else {
+            setStatus("Connecting…");
+        }
+    };
+
+    const connect = () => {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        let ws;
+        try {
+            ws = new WebSocket(remoteRelayURL(settings.url));
+        } catch (err) {
+            settings.connected = false;
+            setStatus(`Bad relay address: ${err.message}`);
+            return;
+        }
+        socket = ws;
+        ws.addEventListener("open", () => {
+            reconnectDelay = REMOTE_RECONNECT_MIN;
+            // Ask for the others' values and offer ours; the stamps sort out which win
+            ws.send(JSON.stringify({ type: "hello", from: clientId }));
+            sendState(channel);
+            describe();
+        });
+        ws.addEventListener("message", (event) => {
+            let message = null;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                return;
+            }
+            receive(message, ws);
+        });
+        ws.addEventListener("close", () => {
+            if (socket !== ws) return;
+            socket = null;
+            if (!settings.connected) return;
+            reconnectTimer = setTimeout(connect, reconnectDelay);
+            describe();
+            reconnectDelay = Math.min(reconnectDelay * 2, REMOTE_RECONNECT_MAX);
+        });
+        describe();
+    };
+
+    const disconnect = () => {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        reconnectDelay = REMOTE_RECONNECT_MIN;
+        if (socket) {
+            const ws = socket;
+            socket = null;
+            ws.close();
+        }
+        describe();
+    };
+
+    if (urlInput) {
+        urlInput.value = settings.url;
+        urlInput.placeholder = remoteRelayURL("");
+        urlInput.addEventListener("change", () => {
+            settings.url = urlInput.value.trim();
+            save();
+            if (settings.connected) {
+                disconnect();
+                connect();
+            }
+        });
+    }
+
+    if (connectButton) {
+        connectButton.addEventListener("click", () => {
+            settings.connected = !settings.connected;
+            save();
+            if (settings.connected) connect(); else disconnect();
+        });
+    }
+
+    // The device is only swapped on load, so switching mode reloads the page
+    if (controllerCheckbox) {
+        controllerCheckbox.checked = controllerOnly;
+        controllerCheckbox.addEventListener("change", () => {
+            settings.controller = controllerCheckbox.checked;
+            if (settings.controller) settings.connected = true;
+            save();
+            const url = new URL(window.location.href);
+            url.searchParams.delete("controller");
+            window.location.replace(url);
+        });
+    }
+
+    // A controller is no use on its own, so it always looks for the relay
+    if (settings.connected || controllerOnly) {
+        settings.connected = true;
+        connect();
+    } else {
+        describe();
+    }
+    if (channel) channel.postMessage({ type: "hello", from: clientId });
+
+    return {
+        // Called with each session mountPatcher builds. The pattern parameter
+        // is shared as "loop", and not while it is 0 for stop.
+        attach(session) {
+            const { device, layout, transport } = session;
+            device.parameters.forEach(param => {
+                if (param.id === layout.patternParam) {
+                    if (param.value > 0) seed("loop", param.value);
+                } else {
+                    seed(`param:${param.id}`, param.value);
+                }
+            });
+            if (session.loopControls) seed("loop", session.loopControls.currentLoop);
+            seed("tempo", transport.tempo);
+            seed("running", transport.running);
+
+            subscribeParamChanges(device, session.smoother, (param, value) => {
+                if (getSession() !== session) return;
+                if (param.id !== layout.patternParam) {
+                    changeLocally(`param:${param.id}`, value);
+                } else if (value > 0) {
+                    changeLocally("loop", value);
+                }
+            });
+            transport.subscribe(() => {
+                if (getSession() === session) noteTransport(session);
+            });
+        }
+    };
+}
@@ -0,0 +1,167 @@
+/**
+ * Offline bounce: builds a second instance of the patcher in an
+ * OfflineAudioContext at the live sample rate, copies the live device's
+ * parameter state, loop buffers, tempo and time signature into it, plays
+ * either the current loop or the song chain for N bars and downloads the
+ * result as a stereo WAV. Enabled automation lanes play back in the bounce
+ * as they do live, from the top of the first bar. The device plays through
+ * new soft clip and limiter stages, those switched on in the master strip,
+ * as takes are recorded. The limiter's lookahead delay is rendered on the
+ * end and cut from the start, so the bounce still starts on the beat.
+ */
+
+const RENDER_QUANTUM_FRAMES = 128;
+
+// Builds the list of [bar, loop] changes for rendering the song chain
+function songChainLoopChanges(chainState, bars) {
+    const changes = [];
+    const steps = chainState.steps;
+    if (!steps.length) return changes;
+
+    let bar = 0;
+    let index = 0;
+    while (bar < bars) {
+        changes.push([bar, steps[index].loop]);
+        bar += steps[index].bars;
+        index++;
+        if (index >= steps.length) {
+            if (!chainState.repeat) {
+                changes.push([bar, 0]);
+                break;
+            }
+            index = 0;
+        }
+    }
+    return changes;
+}
+
+function makeOfflineRender(device, patcher, dependencies, context, transport, loopControls, songMode, layout, automation, loopLibrary, master) {
+    const sourceSelect = document.getElementById("render-source");
+    const barsInput = document.getElementById("render-bars");
+    const bitDepthSelect = document.getElementById("render-bit-depth");
+    const exportButton = document.getElementById("render-button");
+    const statusText = document.getElementById("render-status");
+    if (!exportButton) return;
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+        exportButton.disabled = true;
+        setStatus("Offline rendering is not supported in this browser");
+        return;
+    }
+
+    const render = async ({ source, bars, bitDepth }) => {
+        const tempo = transport.tempo;
+        const secondsPerBar = transport.barLength() * 60 / tempo;
+        const duration = bars * secondsPerBar;
+        const frames = Math.ceil(duration * context.sampleRate);
+        const masterSettings = master ? master.getSettings() : {};
+        const latency = masterSettings.limiter ? masterLimiterLatency(context.sampleRate) : 0;
+        const offline = new OfflineContext(2, frames + latency, context.sampleRate);
+
+        // The loops as they are now: files loaded into the slots, and the
+        // factory files for the rest
+        const offlineDevice = await RNBO.createDevice({ context: offline, patcher });
+        const buffers = loopLibrary ? loopLibrary.getBuffers() : new Map();
+        const factory = dependencies.filter(dependency => !buffers.has(dependency.id));
+        if (factory.length) {
+            await offlineDevice.loadDataBufferDependencies(factory);
+        }
+        for (const [id, buffer] of buffers) {
+            await offlineDevice.setDataBuffer(id, buffer);
+        }
+        offlineDevice.setPreset(await device.getPreset());
+        let tail = offlineDevice.node;
+        (await makeMasterStages(offline, masterSettings)).forEach(stage => {
+            tail.connect(stage.input);
+            tail = stage.output;
+        });
+        tail.connect(offline.destination);
+
+        offlineDevice.scheduleEvent(new RNBO.TempoEvent(0, tempo));
+        offlineDevice.scheduleEvent(new RNBO.TimeSignatureEvent(0, transport.numerator, transport.denominator));
+        offlineDevice.scheduleEvent(new RNBO.BeatTimeEvent(0, 0));
+        offlineDevice.scheduleEvent(new RNBO.TransportEvent(0, 1));
+
+        // Suspending the render lets us change parameters on time. Only one
+        // suspend is allowed per render quantum, so changes are grouped by
+        // the quantum they fall in.
+        const quantum = RENDER_QUANTUM_FRAMES / offline.sampleRate;
+        const timedChanges = new Map();
+        const at = (time, change) => {
+            if (time <= 0) {
+                change();
+            } else if (time < duration) {
+                const slot = Math.floor(time / quantum);
+                if (!timedChanges.has(slot)) timedChanges.set(slot, []);
+                timedChanges.get(slot).push(change);
+            }
+        };
+
+        const loopParam = offlineDevice.parameters.find(p => p.id === layout.patternParam);
+        const changes = source === "song" && songMode
+            ? songChainLoopChanges(songMode.getState(), bars)
+            : [[0, loopControls ? loopControls.currentLoop : 1]];
+
+        if (loopParam) {
+            changes.forEach(([bar, loop]) => at(bar * secondsPerBar, () => { loopParam.value = loop; }));
+        }
+
+        // Each lane repeats every lane length from beat 0, as the transport
+        // starts it live
+        if (automation) {
+            const { length, lanes } = automation.getLanes();
+            const seconds = (beat) => beat * 60 / tempo;
+            lanes.forEach(lane => {
+                const param = offlineDevice.parameters.find(p => p.id === lane.id);
+                if (!param) return;
+                param.value = automationValueAt(lane.points, 0);
+                for (let start = 0; seconds(start) < duration; start += length) {
+                    lane.points.forEach(point => {
+                        if (start + point.pos > 0) at(seconds(start + point.pos), () => { param.value = point.value; });
+                    });
+                }
+            });
+        }
+
+        timedChanges.forEach((list, slot) => {
+            offline.suspend(slot * quantum).then(() => {
+                list.forEach(change => change());
+                offline.resume();
+            });
+        });
+
+        let rendered = await offline.startRendering();
+        if (latency) {
+            const trimmed = offline.createBuffer(rendered.numberOfChannels, frames, rendered.sampleRate);
+            for (let c = 0; c < rendered.numberOfChannels; c++) {
+                trimmed.copyToChannel(rendered.getChannelData(c).subarray(latency), c);
+            }
+            rendered = trimmed;
+        }
+        return encodeWav(rendered, bitDepth);
+    };
+
+    exportButton.addEventListener("click", async () => {
+        const bars = Math.max(1, Number.parseInt(barsInput.value, 10) || 1);
+        const bitDepth = Number.parseInt(bitDepthSelect.value, 10) === 24 ? 24 : 16;
+        const source = sourceSelect ? sourceSelect.value : "loop";
+
+        exportButton.disabled = true;
+        setStatus(`Rendering ${bars} bar${bars === 1 ? "" : "s"}…`);
+        try {
+            const wav = await render({ source, bars, bitDepth });
+            const name = (patcher.desc.meta.filename || "glowstate").replace(/\.maxpat$/, "");
+            downloadBlob(wav, `${name}-${Math.round(transport.tempo)}bpm-${bars}bars.wav`);
+            setStatus(`Exported ${bars} bar${bars === 1 ? "" : "s"} (${bitDepth}-bit)`);
+        } catch (err) {
+            console.error(err);
+            setStatus(`Export failed: ${err.message}`);
+        }
+        exportButton.disabled = false;
+    });
+}
@@ -0,0 +1,161 @@
+/**
+ * Share links. SHARE puts a link to the current sound on the clipboard: the
+ * export, the selected loop, tempo, the preset last loaded and every
+ * parameter value, kept in the URL fragment so nothing is sent to a server:
+ *
+ *   index.html#v=1&patcher=gs-1.4&loop=2&bpm=128&preset=factory%3A0&p.cut_off=1200&p.res=0.3
+ *
+ * setup() reads the fragment on load and applies it once the device exists.
+ * Values are clamped to each parameter's range the way typed values are, and
+ * anything the loaded export doesn't have (a parameter id from an older
+ * export, a preset that only exists in someone else's browser) is reported
+ * in the diagnostics panel instead of applied.
+ */
+
+const SHARE_FORMAT_VERSION = 1;
+const SHARE_PARAM_PREFIX = "p.";
+// Significant digits kept per value, which keeps links short
+const SHARE_VALUE_PRECISION = 5;
+
+function formatShareValue(value) {
+    return String(Number(value.toPrecision(SHARE_VALUE_PRECISION)));
+}
+
+function captureSharedState(session) {
+    const { entry, layout, device, transport, loopControls, presets } = session;
+    const params = {};
+    // The loop is shared on its own; the pattern parameter is 0 while stopped
+    device.parameters.filter(param => param.id !== layout.patternParam).forEach(param => {
+        params[param.id] = formatShareValue(param.value);
+    });
+    return {
+        version: SHARE_FORMAT_VERSION,
+        patcher: entry.id,
+        loop: loopControls ? String(loopControls.currentLoop) : null,
+        tempo: formatShareValue(transport.tempo),
+        preset: presets ? presets.activeKey : null,
+        params
+    };
+}
+
+function encodeSharedState(state) {
+    const fields = new URLSearchParams();
+    fields.set("v", state.version);
+    if (state.patcher) fields.set("patcher", state.patcher);
+    if (state.loop) fields.set("loop", state.loop);
+    if (state.tempo) fields.set("bpm", state.tempo);
+    if (state.preset) fields.set("preset", state.preset);
+    Object.keys(state.params).forEach(id => fields.set(SHARE_PARAM_PREFIX + id, state.params[id]));
+    return fields.toString();
+}
+
+// The state in the page's fragment, with its values still as strings, or
+// null if the page wasn't opened from a share link
+function readSharedState(hash = window.location.hash) {
+    const fields = new URLSearchParams(hash.replace(/^#/, ""));
+    if (!fields.has("v")) return null;
+    const state = {
+        version: Number.parseInt(fields.get("v"), 10),
+        patcher: fields.get("patcher"),
+        loop: fields.get("loop"),
+        tempo: fields.get("bpm"),
+        preset: fields.get("preset"),
+        params: {}
+    };
+    fields.forEach((value, key) => {
+        if (key.startsWith(SHARE_PARAM_PREFIX)) state.params[key.slice(SHARE_PARAM_PREFIX.length)] = value;
+    });
+    return state;
+}
+
+// Takes the fragment off the address bar, so a reload starts from the
+// page's own saved state rather than the link again
+function clearSharedState() {
+    history.replaceState(null, "", window.location.pathname + window.location.search);
+}
+
+// Applies what it can and returns a description of each part it couldn't.
+// The preset goes first so the link's parameter values win over it.
+async function applySharedState(session, state) {
+    const { entry, device, transport, loopControls, presets, smoother } = session;
+    const problems = [];
+
+    if (state.version > SHARE_FORMAT_VERSION) {
+        problems.push(`The link was made by a newer version of the app (format ${state.version}); some of it may be ignored.`);
+    }
+    if (state.patcher && state.patcher !== entry.id) {
+        problems.push(`The link was made with the "${state.patcher}" export, which isn't in export/manifest.json, so it was applied to ${entry.name}.`);
+    }
+
+    if (state.preset && !(presets && await presets.load(state.preset))) {
+        problems.push(`Preset "${state.preset}" isn't available here.`);
+    }
+
+    Object.keys(state.params).forEach(id => {
+        const param = device.parameters.find(p => p.id === id);
+        const value = Number.parseFloat(state.params[id]);
+        if (!param) {
+            problems.push(`Parameter "${id}" doesn't exist in ${entry.name}.`);
+        } else if (isNaN(value)) {
+            problems.push(`"${state.params[id]}" isn't a value for ${id}.`);
+        } else {
+            if (smoother) smoother.cancel(param);
+            param.value = clampParamValue(param, value);
+        }
+    });
+
+    if (state.tempo) {
+        const bpm = Number.parseFloat(state.tempo);
+        if (isNaN(bpm)) {
+            problems.push(`"${state.tempo}" isn't a tempo.`);
+        } else {
+            transport.setTempo(bpm);
+        }
+    }
+
+    if (state.loop && loopControls) {
+        const loops = Object.keys(loopControls.buttons).map(Number);
+        const value = Number.parseInt(state.loop, 10);
+        if (isNaN(value)) {
+            problems.push(`"${state.loop}" isn't a loop number.`);
+        } else if (!loopControls.cueLoop(Math.min(Math.max(...loops), Math.max(Math.min(...loops), value)))) {
+            problems.push(`Loop ${value} couldn't be selected; its sample didn't load.`);
+        }
+    }
+
+    return problems;
+}
+
+function reportSharedStateProblems(problems) {
+    if (!problems.length) return;
+    console.warn("Share link:", problems);
+    if (typeof guardrails !== "function") return;
+    guardrails({
+        level: "warning",
+        header: `Share link only partly applied`,
+        description: problems.join(" ")
+    });
+}
+
+function makeShareButton(getSession) {
+    const shareButton = document.getElementById("share-button");
+    const statusText = document.getElementById("share-status");
+    if (!shareButton) return;
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    shareButton.addEventListener("click", async () => {
+        const fragment = encodeSharedState(captureSharedState(getSession()));
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${fragment}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            setStatus("Link copied");
+        } catch (e) {
+            // Without clipboard access the link can still be copied by hand
+            history.replaceState(null, "", url);
+            setStatus("Copy the link from the address bar");
+        }
+    });
+}
@@ -0,0 +1,188 @@
+/**
+ * Keyboard shortcuts and screen-reader announcements. Bindings map a key
+ * (KeyboardEvent.code, so they follow the physical key whatever the layout)
+ * to an action: SPACE plays and stops, 1-9 pick loops, and the arrow keys
+ * nudge the focused parameter control along its response curve, ten times
+ * coarser with Shift and ten times finer with Alt. Bindings can be changed
+ * in the SHORTCUTS panel and are kept in localStorage.
+ */
+
+const SHORTCUTS_STORAGE_KEY = "glowstate.shortcuts";
+const SHORTCUT_LOOP_COUNT = 9;
+// One nudge of a continuous parameter, as a fraction of its control's travel
+const SHORTCUT_NUDGE_FRACTION = 0.01;
+const SHORTCUT_ANNOUNCE_DELAY = 300;
+
+const DEFAULT_SHORTCUTS = {
+    "Space": "playStop",
+    "Digit1": "loop1",
+    "Digit2": "loop2",
+    "Digit3": "loop3",
+    "Digit4": "loop4",
+    "ArrowUp": "nudgeUp",
+    "ArrowRight": "nudgeUp",
+    "ArrowDown": "nudgeDown",
+    "ArrowLeft": "nudgeDown"
+};
+
+const SHORTCUT_ACTIONS = [
+    { id: "playStop", label: "PLAY / STOP" },
+    ...Array.from({ length: SHORTCUT_LOOP_COUNT }, (_, i) => ({ id: `loop${i + 1}`, label: `LOOP ${i + 1}` })),
+    { id: "nudgeUp", label: "NUDGE UP" },
+    { id: "nudgeDown", label: "NUDGE DOWN" }
+];
+
+function describeKeyCode(code) {
+    if (code === "Space") return "SPACE";
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (code.startsWith("Arrow")) return { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" }[code];
+    return code.toUpperCase();
+}
+
+function loadShortcuts() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SHORTCUTS_STORAGE_KEY));
+        if (stored && typeof stored === "object") return stored;
+    } catch (e) {}
+    return Object.assign({}, DEFAULT_SHORTCUTS);
+}
+
+function makeKeyboardShortcuts(getSession) {
+    const listDiv = document.getElementById("shortcut-list");
+    const resetButton = document.getElementById("shortcut-reset-button");
+    const statusText = document.getElementById("shortcut-status");
+
+    let bindings = loadShortcuts();
+    let capturing = null;
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    const saveBindings = () => {
+        localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(bindings));
+    };
+
+    let announceTimer = null;
+    const nudge = (direction, ev) => {
+        const control = ev.target.closest && ev.target.closest(".param-control");
+        if (!control) return false;
+        const item = getSession().parameterItems.find(i => i.id === control.dataset.paramId);
+        if (!item) return false;
+        const { param } = item;
+        const multiplier = ev.shiftKey ? 10 : 1;
+
+        if (isContinuousParam(item)) {
+            const step = SHORTCUT_NUDGE_FRACTION * multiplier / (ev.altKey ? 10 : 1);
+            item.setValue(paramValueAt(item, paramPosition(item, item.targetValue()) + direction * step));
+        } else {
+            const step = (param.max - param.min) / Math.max(param.steps - 1, 1) * multiplier;
+            item.setValue(clampParamValue(param, param.value + direction * step));
+        }
+
+        // Holding a key repeats; only the value it settles on is read out
+        clearTimeout(announceTimer);
+        announceTimer = setTimeout(() => {
+            const label = control.querySelector(".param-label");
+            const text = control.querySelector("input[type=text]");
+            const name = label ? label.textContent.replace(/:\s*$/, "") : param.name;
+            announce(`${name} ${text ? text.value : param.value.toFixed(1)}`);
+        }, SHORTCUT_ANNOUNCE_DELAY);
+        return true;
+    };
+
+    const runAction = (action, ev) => {
+        const session = getSession();
+        if (action === "playStop") {
+            if (!session.transportControls) return false;
+            session.transportControls.toggle();
+            return true;
+        }
+        if (action.startsWith("loop")) {
+            if (!session.loopControls) return false;
+            session.loopControls.selectLoop(Number.parseInt(action.slice(4), 10));
+            return true;
+        }
+        if (action === "nudgeUp") return nudge(1, ev);
+        if (action === "nudgeDown") return nudge(-1, ev);
+        return false;
+    };
+
+    // Typing in a text box, or SPACE/ENTER on a focused button, keeps its
+    // usual meaning. Range inputs and knobs hand their arrows to the nudges.
+    const belongsToControl = (ev) => {
+        const target = ev.target;
+        if (target.isContentEditable) return true;
+        if (target.closest("textarea, select")) return true;
+        if (target.tagName === "INPUT" && target.type !== "range" && target.type !== "checkbox") return true;
+        return (ev.code === "Space" || ev.code === "Enter") && !!target.closest("button, a, input[type=checkbox]");
+    };
+
+    document.addEventListener("keydown", (ev) => {
+        if (capturing || ev.ctrlKey || ev.metaKey) return;
+        const action = bindings[ev.code];
+        if (!action || belongsToControl(ev)) return;
+        if (runAction(action, ev)) ev.preventDefault();
+    });
+
+    const renderList = () => {
+        if (!listDiv) return;
+        listDiv.innerHTML = "";
+        SHORTCUT_ACTIONS.forEach(action => {
+            const row = document.createElement("div");
+            row.className = "shortcut";
+            const name = document.createElement("span");
+            name.className = "param-label";
+            name.textContent = action.label;
+            const keyButton = document.createElement("button");
+            keyButton.className = "small-button shortcut-key";
+            const keys = Object.keys(bindings).filter(code => bindings[code] === action.id);
+            keyButton.textContent = keys.length ? keys.map(describeKeyCode).join(" ") : "—";
+            keyButton.setAttribute("aria-label", `${action.label}: ${keys.length ? keys.map(describeKeyCode).join(", ") : "no key"}. Press to change`);
+            keyButton.addEventListener("click", () => startCapture(action, keyButton));
+            row.appendChild(name);
+            row.appendChild(keyButton);
+            listDiv.appendChild(row);
+        });
+    };
+
+    // The next key pressed becomes the action's only key; Escape cancels and
+    // Backspace clears it
+    const startCapture = (action, keyButton) => {
+        capturing = action;
+        keyButton.classList.add("active");
+        keyButton.textContent = "…";
+        setStatus(`Press a key for ${action.label}`);
+
+        const onKey = (ev) => {
+            ev.preventDefault();
+            ev.stopPropagation();
+            document.removeEventListener("keydown", onKey, true);
+            capturing = null;
+            if (ev.code !== "Escape") {
+                Object.keys(bindings).forEach(code => {
+                    if (bindings[code] === action.id || code === ev.code) delete bindings[code];
+                });
+                if (ev.code !== "Backspace") bindings[ev.code] = action.id;
+                saveBindings();
+            }
+            setStatus("");
+            renderList();
+            const buttons = listDiv.querySelectorAll(".shortcut-key");
+            buttons[SHORTCUT_ACTIONS.indexOf(action)].focus();
+        };
+        document.addEventListener("keydown", onKey, true);
+    };
+
+    if (resetButton) {
+        resetButton.addEventListener("click", () => {
+            bindings = Object.assign({}, DEFAULT_SHORTCUTS);
+            saveBindings();
+            renderList();
+            setStatus("Default keys restored");
+        });
+    }
+
+    renderList();
+}
@@ -0,0 +1,257 @@
+/**
+ * Song mode: plays an ordered chain of steps such as "LOOP 1 for 4 bars,
+ * LOOP 3 for 2 bars" from the transport clock, then repeats or stops at the
+ * end. The chain is edited in the SONG panel, kept in localStorage as the
+ * working copy and saved with user presets.
+ */
+
+const SONG_CHAIN_STORAGE_KEY = "glowstate.songChain";
+const SONG_MAX_BARS = 64;
+const SONG_DEFAULT_STATE = {
+    steps: [{ loop: 1, bars: 4 }, { loop: 3, bars: 2 }, { loop: 2, bars: 8 }],
+    repeat: true
+};
+
+function normalizeSongState(state, loopValues) {
+    const steps = (state && Array.isArray(state.steps) ? state.steps : [])
+        .map(step => ({
+            loop: Number.parseInt(step.loop, 10),
+            bars: Math.min(SONG_MAX_BARS, Math.max(1, Number.parseInt(step.bars, 10) || 1))
+        }))
+        .filter(step => loopValues.includes(step.loop));
+    return { steps, repeat: !state || state.repeat !== false };
+}
+
+function makeSongMode(transport, launchQuantizer, loopControls, transportControls) {
+    const stepsDiv = document.getElementById("song-steps");
+    const addButton = document.getElementById("song-add-step");
+    const playButton = document.getElementById("song-play-button");
+    const repeatInput = document.getElementById("song-repeat");
+    const statusText = document.getElementById("song-status");
+
+    const loopValues = loopControls ? Object.keys(loopControls.buttons).map(Number) : [];
+
+    let storedState = null;
+    try {
+        storedState = JSON.parse(localStorage.getItem(SONG_CHAIN_STORAGE_KEY));
+    } catch (e) {}
+    let state = normalizeSongState(storedState || SONG_DEFAULT_STATE, loopValues);
+    let playing = false;
+    let currentStep = -1;
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    const save = () => {
+        localStorage.setItem(SONG_CHAIN_STORAGE_KEY, JSON.stringify(state));
+    };
+
+    const highlight = () => {
+        if (!stepsDiv) return;
+        Array.from(stepsDiv.children).forEach((row, index) => {
+            row.classList.toggle("current", index === currentStep);
+        });
+        if (playButton) {
+            playButton.textContent = playing ? "STOP SONG" : "PLAY SONG";
+            playButton.classList.toggle("active", playing);
+        }
+        const totalBars = state.steps.reduce((sum, step) => sum + step.bars, 0);
+        setStatus(playing && currentStep >= 0
+            ? `Step ${currentStep + 1}/${state.steps.length}`
+            : `${state.steps.length} steps, ${totalBars} bars`);
+    };
+
+    const makeButton = (text, label, onClick) => {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.className = "small-button";
+        button.setAttribute("aria-label", label);
+        button.addEventListener("click", onClick);
+        return button;
+    };
+
+    const moveStep = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= state.steps.length) return;
+        const [step] = state.steps.splice(index, 1);
+        state.steps.splice(target, 0, step);
+        save();
+        render();
+    };
+
+    const render = () => {
+        if (!stepsDiv) return;
+        stepsDiv.innerHTML = "";
+        state.steps.forEach((step, index) => {
+            const row = document.createElement("div");
+            row.className = "song-step";
+
+            const number = document.createElement("span");
+            number.className = "song-step-number";
+            number.textContent = index + 1;
+
+            const loopSelect = document.createElement("select");
+            loopSelect.className = "custom-select";
+            loopSelect.setAttribute("aria-label", `Step ${index + 1} loop`);
+            loopValues.forEach(value => {
+                const option = document.createElement("option");
+                option.value = value;
+                option.innerText = loopControls.buttons[value].textContent;
+                loopSelect.appendChild(option);
+            });
+            loopSelect.value = step.loop;
+            loopSelect.addEventListener("change", () => {
+                step.loop = Number.parseInt(loopSelect.value, 10);
+                save();
+            });
+
+            const barsInput = document.createElement("input");
+            barsInput.type = "number";
+            barsInput.min = 1;
+            barsInput.max = SONG_MAX_BARS;
+            barsInput.value = step.bars;
+            barsInput.className = "text-input";
+            barsInput.setAttribute("aria-label", `Step ${index + 1} length in bars`);
+            barsInput.addEventListener("change", () => {
+                step.bars = Math.min(SONG_MAX_BARS, Math.max(1, Number.parseInt(barsInput.value, 10) || 1));
+                barsInput.value = step.bars;
+                save();
+                highlight();
+            });
+
+            const barsLabel = document.createElement("span");
+            barsLabel.className = "param-label";
+            barsLabel.textContent = "BARS";
+
+            row.appendChild(number);
+            row.appendChild(loopSelect);
+            row.appendChild(barsInput);
+            row.appendChild(barsLabel);
+            row.appendChild(makeButton("↑", "Move step up", () => moveStep(index, -1)));
+            row.appendChild(makeButton("↓", "Move step down", () => moveStep(index, 1)));
+            row.appendChild(makeButton("✕", "Remove step", () => {
+                state.steps.splice(index, 1);
+                save();
+                render();
+            }));
+            stepsDiv.appendChild(row);
+        });
+        if (repeatInput) repeatInput.checked = state.repeat;
+        highlight();
+    };
+
+    // Starts step index on beat startBeat and queues the following step
+    const startStep = (index, startBeat) => {
+        const step = state.steps[index];
+        currentStep = index;
+        loopControls.applyLoop(step.loop);
+        highlight();
+
+        const nextBeat = startBeat + step.bars * transport.barLength();
+        launchQuantizer.scheduleAt("song", nextBeat, () => advance(nextBeat), undefined, sendNext(index));
+    };
+
+    // The device gets the following step, or the stop at the end, ahead of
+    // time; worked out when it is sent, so edits until then still count
+    const sendNext = (index) => (time) => {
+        const next = index + 1 < state.steps.length ? index + 1 : (state.repeat ? 0 : -1);
+        if (next < 0 || !state.steps[next]) {
+            if (transportControls) transportControls.sendStop(time);
+            return;
+        }
+        const send = loopControls.sendLoop(state.steps[next].loop);
+        if (send) send(time);
+    };
+
+    const advance = (beat) => {
+        if (!playing) return;
+        let next = currentStep + 1;
+        if (next >= state.steps.length) {
+            if (!state.repeat || !state.steps.length) {
+                song.stop();
+                if (transportControls) transportControls.stop();
+                return;
+            }
+            next = 0;
+        }
+        startStep(next, beat);
+    };
+
+    const song = {
+        get playing() { return playing; },
+
+        // Starts from the top: right away when stopped, on the next bar when running
+        start() {
+            if (!loopControls || !state.steps.length) return;
+            // A step of an earlier run, even one already sent, must not
+            // carry on beside this one
+            launchQuantizer.cancel("song", true);
+            playing = true;
+            if (transport.running) {
+                const startBeat = launchQuantizer.nextGridBeat(transport.barLength());
+                launchQuantizer.scheduleAt("song", startBeat, () => {
+                    if (playing) startStep(0, startBeat);
+                }, playButton, loopControls.sendLoop(state.steps[0].loop));
+                highlight();
+            } else {
+                startStep(0, transport.getBeatTime());
+            }
+        },
+
+        // The next step goes to the device just before it starts, and can
+        // still land once it has; the chain stops there all the same
+        stop() {
+            playing = false;
+            currentStep = -1;
+            launchQuantizer.cancel("song", true);
+            highlight();
+        },
+
+        getState() {
+            return JSON.parse(JSON.stringify(state));
+        },
+
+        setState(newState) {
+            state = normalizeSongState(newState, loopValues);
+            save();
+            if (playing) song.stop();
+            render();
+        }
+    };
+
+    // STOP (or anything else halting the clock) ends the song as well
+    transport.subscribe(() => {
+        if (playing && !transport.running) song.stop();
+    });
+
+    if (addButton) {
+        addButton.addEventListener("click", () => {
+            if (!loopValues.length) return;
+            const last = state.steps[state.steps.length - 1];
+            state.steps.push({ loop: last ? last.loop : loopValues[0], bars: last ? last.bars : 4 });
+            save();
+            render();
+        });
+    }
+
+    if (repeatInput) {
+        repeatInput.addEventListener("change", () => {
+            state.repeat = repeatInput.checked;
+            save();
+        });
+    }
+
+    if (playButton) {
+        playButton.addEventListener("click", () => {
+            if (playing) {
+                song.stop();
+            } else {
+                song.start();
+            }
+        });
+    }
+
+    render();
+    return song;
+}
@@ -0,0 +1,78 @@
+/**
+ * Small promise wrapper around the IndexedDB database the app keeps its
+ * user data in. Every object store is keyed by "id", auto-incremented unless
+ * the record brings its own. To add a store, append its name to
+ * GLOWSTATE_DB_STORES and bump the version.
+ * downloadBlob() saves exported data as a file.
+ */
+
+const GLOWSTATE_DB_NAME = "glowstate";
+const GLOWSTATE_DB_VERSION = 3;
+const GLOWSTATE_DB_STORES = ["presets", "takes", "takeAudio", "loopSlots"];
+
+let glowstateDBPromise = null;
+
+function openGlowstateDB() {
+    if (glowstateDBPromise) return glowstateDBPromise;
+
+    glowstateDBPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error("IndexedDB is not available in this browser"));
+            return;
+        }
+        const request = indexedDB.open(GLOWSTATE_DB_NAME, GLOWSTATE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            GLOWSTATE_DB_STORES.forEach(name => {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name, { keyPath: "id", autoIncrement: true });
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again instead of caching the failure
+    glowstateDBPromise.catch(() => {
+        glowstateDBPromise = null;
+    });
+    return glowstateDBPromise;
+}
+
+async function dbRequest(storeName, mode, makeRequest) {
+    const db = await openGlowstateDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function dbGetAll(storeName) {
+    return dbRequest(storeName, "readonly", store => store.getAll());
+}
+
+function dbGet(storeName, id) {
+    return dbRequest(storeName, "readonly", store => store.get(id));
+}
+
+// Resolves to the record's id (newly assigned if the record had none)
+function dbPut(storeName, record) {
+    return dbRequest(storeName, "readwrite", store => store.put(record));
+}
+
+function dbDelete(storeName, id) {
+    return dbRequest(storeName, "readwrite", store => store.delete(id));
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
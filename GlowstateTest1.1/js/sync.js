@@ -0,0 +1,334 @@
+/**
+ * MIDI clock sync. In FOLLOW mode the transport takes its tempo from
+ * incoming MIDI clock (24 pulses per quarter note), and Start, Stop,
+ * Continue and Song Position Pointer drive PLAY/STOP and the position. The
+ * tempo is averaged over the last two beats of pulses, and the position is
+ * only corrected once it has drifted, so USB timing jitter doesn't wobble
+ * the tempo. In LEAD mode the page sends clock and Start/Stop/Continue to
+ * the chosen MIDI output, scheduled slightly ahead with timestamps. The
+ * mode and output are kept in localStorage.
+ */
+
+const SYNC_STORAGE_KEY = "glowstate.sync";
+const SYNC_PULSES_PER_QUARTER = 24;
+// Pulses averaged for the tempo (two beats), and how often it is updated
+const SYNC_CLOCK_WINDOW = 48;
+const SYNC_TEMPO_UPDATE_PULSES = 24;
+// Tempo changes smaller than this are jitter, not a new tempo
+const SYNC_TEMPO_TOLERANCE = 0.05;
+// A gap this long (ms) means the clock stopped and restarted
+const SYNC_CLOCK_TIMEOUT = 250;
+// Drift, in quarter notes, before the position is pulled back into line
+const SYNC_DRIFT_TOLERANCE = 0.125;
+// Lead mode wakes every SYNC_SCHEDULE_INTERVAL ms to send the pulses due
+// in the next SYNC_LOOKAHEAD ms
+const SYNC_SCHEDULE_INTERVAL = 25;
+const SYNC_LOOKAHEAD = 100;
+
+const MIDI_CLOCK = 0xF8;
+const MIDI_START = 0xFA;
+const MIDI_CONTINUE = 0xFB;
+const MIDI_STOP = 0xFC;
+const MIDI_SONG_POSITION = 0xF2;
+
+function loadSyncSettings() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(SYNC_STORAGE_KEY));
+    } catch (e) {}
+    const settings = Object.assign({ mode: "internal", outputId: "" }, stored);
+    if (!["internal", "follow", "lead"].includes(settings.mode)) settings.mode = "internal";
+    return settings;
+}
+
+function makeMidiSync(getSession) {
+    const modeSelect = document.getElementById("sync-mode-select");
+    const outputSelect = document.getElementById("sync-output-select");
+    const statusText = document.getElementById("sync-status");
+
+    const settings = loadSyncSettings();
+    let midiAccess = null;
+
+    // Follow mode
+    let clockTimes = [];
+    let pulsesSinceTempo = 0;
+    let pulses = 0;
+    let following = false;
+
+    // Lead mode
+    let scheduler = null;
+    let nextPulseTime = null;
+    let nextPulse = null;
+    let wasRunning = false;
+
+    const setStatus = (text) => {
+        if (statusText) statusText.textContent = text;
+    };
+
+    const save = () => {
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(settings));
+    };
+
+    // ---- Follow ----
+
+    const followTempo = (transport) => {
+        const interval = (clockTimes[clockTimes.length - 1] - clockTimes[0]) / (clockTimes.length - 1);
+        const bpm = 60000 / (interval * SYNC_PULSES_PER_QUARTER);
+        if (Math.abs(bpm - transport.tempo) >= SYNC_TEMPO_TOLERANCE) transport.setTempo(bpm);
+        setStatus(`Following ${transport.tempo.toFixed(1)} BPM`);
+    };
+
+    const onClock = (timeStamp) => {
+        const { transport } = getSession();
+        if (clockTimes.length && timeStamp - clockTimes[clockTimes.length - 1] > SYNC_CLOCK_TIMEOUT) {
+            clockTimes = [];
+            pulsesSinceTempo = 0;
+        }
+        clockTimes.push(timeStamp);
+        if (clockTimes.length > SYNC_CLOCK_WINDOW) clockTimes.shift();
+        if (++pulsesSinceTempo >= SYNC_TEMPO_UPDATE_PULSES && clockTimes.length >= SYNC_TEMPO_UPDATE_PULSES) {
+            pulsesSinceTempo = 0;
+            followTempo(transport);
+        }
+
+        if (!following) return;
+        // The first pulse after Start is the downbeat. Once per beat, pull
+        // the position back if it has wandered off.
+        if (pulses % SYNC_PULSES_PER_QUARTER === 0) {
+            const beatTime = pulses / SYNC_PULSES_PER_QUARTER;
+            if (Math.abs(transport.getBeatTime() - beatTime) > SYNC_DRIFT_TOLERANCE) transport.setBeatTime(beatTime);
+        }
+        pulses++;
+    };
+
+    const followStart = (fromPulse) => {
+        const { transport, transportControls } = getSession();
+        pulses = fromPulse;
+        following = true;
+        transport.setBeatTime(pulses / SYNC_PULSES_PER_QUARTER);
+        if (transportControls) {
+            transportControls.play();
+        } else {
+            transport.setRunning(true);
+        }
+    };
+
+    const followStop = () => {
+        const { transport, transportControls } = getSession();
+        following = false;
+        if (transportControls) {
+            transportControls.stop();
+        } else {
+            transport.setRunning(false);
+        }
+    };
+
+    // Returns true for the clock messages it has taken care of
+    const handleMessage = (data, timeStamp) => {
+        if (settings.mode !== "follow") return false;
+        switch (data[0]) {
+            case MIDI_CLOCK:
+                onClock(timeStamp);
+                return true;
+            case MIDI_START:
+                followStart(0);
+                return true;
+            case MIDI_CONTINUE:
+                followStart(pulses);
+                return true;
+            case MIDI_STOP:
+                followStop();
+                return true;
+            case MIDI_SONG_POSITION: {
+                // Counted in sixteenth notes, six pulses each
+                const sixteenths = data[1] | (data[2] << 7);
+                pulses = sixteenths * 6;
+                if (!following) getSession().transport.setBeatTime(pulses / SYNC_PULSES_PER_QUARTER);
+                return true;
+            }
+            default:
+                return false;
+        }
+    };
+
+    // ---- Lead ----
+
+    // Only while it is plugged in: send() throws on a port that has gone
+    const selectedOutput = () => {
+        const output = midiAccess && settings.outputId ? midiAccess.outputs.get(settings.outputId) : null;
+        return output && output.state === "connected" ? output : null;
+    };
+
+    // Web MIDI timestamps are on the performance clock, the transport on the audio clock
+    const performanceTimeAt = (context, audioTime) => performance.now() + (audioTime - context.currentTime) * 1000;
+
+    const sendClock = (output) => {
+        const { device, transport } = getSession();
+        const context = device.context;
+        const now = performance.now();
+        const horizon = now + SYNC_LOOKAHEAD;
+
+        if (transport.running !== wasRunning) {
+            wasRunning = transport.running;
+            if (wasRunning) {
+                const beatTime = transport.getBeatTime();
+                if (beatTime < 1 / SYNC_PULSES_PER_QUARTER) {
+                    output.send([MIDI_START]);
+                } else {
+                    const sixteenths = Math.floor(beatTime * 4);
+                    output.send([MIDI_SONG_POSITION, sixteenths & 0x7F, (sixteenths >> 7) & 0x7F]);
+                    output.send([MIDI_CONTINUE]);
+                }
+                nextPulse = null;
+            } else {
+                output.send([MIDI_STOP]);
+                nextPulseTime = now;
+            }
+        }
+
+        if (transport.running) {
+            // Pulses sit on the transport's grid, so they follow tempo changes,
+            // and a jump in either direction starts counting again from there
+            const pulsePosition = transport.getBeatTime() * SYNC_PULSES_PER_QUARTER;
+            if (nextPulse === null || Math.abs(nextPulse - pulsePosition) > SYNC_PULSES_PER_QUARTER) {
+                nextPulse = Math.ceil(pulsePosition);
+            }
+            for (;;) {
+                const time = performanceTimeAt(context, transport.timeAtBeat(nextPulse / SYNC_PULSES_PER_QUARTER));
+                if (time > horizon) break;
+                output.send([MIDI_CLOCK], Math.max(time, now));
+                nextPulse++;
+            }
+        } else {
+            // Stopped, the clock keeps going so the other gear knows the tempo
+            const interval = 60000 / (transport.tempo * SYNC_PULSES_PER_QUARTER);
+            if (nextPulseTime === null || nextPulseTime < now - interval) nextPulseTime = now;
+            while (nextPulseTime <= horizon) {
+                output.send([MIDI_CLOCK], nextPulseTime);
+                nextPulseTime += interval;
+            }
+        }
+    };
+
+    // A port can still close between the check and the send; leading then
+    // waits for the output to come back (see setMIDIAccess)
+    const schedule = () => {
+        const output = selectedOutput();
+        if (!output) return;
+        try {
+            sendClock(output);
+        } catch (err) {
+            clearInterval(scheduler);
+            scheduler = null;
+            setStatus("Output disconnected");
+        }
+    };
+
+    const startLeading = () => {
+        if (scheduler !== null) return;
+        wasRunning = false;
+        nextPulse = null;
+        nextPulseTime = null;
+        scheduler = setInterval(schedule, SYNC_SCHEDULE_INTERVAL);
+    };
+
+    const stopLeading = () => {
+        if (scheduler === null) return;
+        clearInterval(scheduler);
+        scheduler = null;
+        const output = selectedOutput();
+        try {
+            if (output && wasRunning) output.send([MIDI_STOP]);
+        } catch (err) {}
+    };
+
+    // ---- Settings ----
+
+    const describe = () => {
+        if (settings.mode === "follow") {
+            setStatus(midiAccess ? "Waiting for MIDI clock" : "MIDI unavailable");
+        } else if (settings.mode === "lead") {
+            if (!midiAccess) setStatus("MIDI unavailable");
+            else if (selectedOutput()) setStatus("Sending clock");
+            else setStatus(settings.outputId ? "Output disconnected" : "Pick a MIDI output");
+        } else {
+            setStatus("");
+        }
+    };
+
+    const applyMode = () => {
+        following = false;
+        clockTimes = [];
+        if (settings.mode === "lead" && midiAccess) {
+            startLeading();
+        } else {
+            stopLeading();
+        }
+        if (outputSelect) outputSelect.disabled = settings.mode !== "lead";
+        describe();
+    };
+
+    const listOutputs = () => {
+        if (!outputSelect || !midiAccess) return;
+        outputSelect.innerHTML = "";
+        const none = document.createElement("option");
+        none.value = "";
+        none.innerText = "No output";
+        outputSelect.appendChild(none);
+        midiAccess.outputs.forEach(output => {
+            const option = document.createElement("option");
+            option.value = output.id;
+            option.innerText = output.name;
+            outputSelect.appendChild(option);
+        });
+        // An output that is unplugged stays picked, and is used again when it comes back
+        outputSelect.value = midiAccess.outputs.has(settings.outputId) ? settings.outputId : "";
+        describe();
+    };
+
+    if (modeSelect) {
+        modeSelect.value = settings.mode;
+        modeSelect.addEventListener("change", () => {
+            stopLeading();
+            settings.mode = modeSelect.value;
+            save();
+            applyMode();
+        });
+    }
+
+    if (outputSelect) {
+        outputSelect.addEventListener("change", () => {
+            stopLeading();
+            settings.outputId = outputSelect.value;
+            save();
+            applyMode();
+        });
+    }
+
+    applyMode();
+
+    return {
+        handleMessage,
+
+        // Called by connectUSBMIDI once MIDI access has been granted
+        setMIDIAccess(access) {
+            midiAccess = access;
+            midiAccess.addEventListener("statechange", (event) => {
+                if (event.port.type !== "output") return;
+                listOutputs();
+                if (event.port.id !== settings.outputId) return;
+                // Leading stops with the picked output and starts again when
+                // it comes back, so it hears START or the position again.
+                // Opening the port fires this too, while leading goes on.
+                if (event.port.state !== "connected") {
+                    stopLeading();
+                    describe();
+                } else if (scheduler === null) {
+                    applyMode();
+                }
+            });
+            listOutputs();
+            applyMode();
+        }
+    };
+}
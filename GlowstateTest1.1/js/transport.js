@@ -0,0 +1,228 @@
+/**
+ * Transport clock and tempo panel. makeTransport() owns tempo, time
+ * signature, running state and musical position, and keeps the device in
+ * step by scheduling RNBO transport events. Transport, tempo, time signature
+ * and beat-time events coming back from the device re-anchor the clock;
+ * between them the position is extrapolated from the audio clock.
+ */
+
+const TRANSPORT_TEMPO_STORAGE_KEY = "glowstate.tempo";
+const TRANSPORT_MIN_TEMPO = 20;
+const TRANSPORT_MAX_TEMPO = 300;
+const TRANSPORT_TICKS_PER_QUARTER = 480;
+
+// With persist off (an embedded player) the tempo is neither read from nor
+// saved to localStorage
+function makeTransport(device, context, initialTempo, persist = true) {
+    const listeners = [];
+    const storedTempo = persist ? Number.parseFloat(localStorage.getItem(TRANSPORT_TEMPO_STORAGE_KEY)) : NaN;
+
+    const state = {
+        tempo: initialTempo || (isNaN(storedTempo) ? 120 : storedTempo),
+        numerator: 4,
+        denominator: 4,
+        running: false,
+        // Beat time (in quarter notes) at audio time anchorTime
+        anchorBeat: 0,
+        anchorTime: context.currentTime
+    };
+
+    const notify = () => listeners.forEach(listener => listener(transport));
+
+    const reanchor = (beatTime) => {
+        state.anchorBeat = beatTime === undefined ? transport.getBeatTime() : beatTime;
+        state.anchorTime = context.currentTime;
+    };
+
+    const clampTempo = (bpm) => Math.min(TRANSPORT_MAX_TEMPO, Math.max(TRANSPORT_MIN_TEMPO, bpm));
+
+    const applyTempo = (bpm) => {
+        reanchor();
+        state.tempo = Math.round(clampTempo(bpm) * 100) / 100;
+        if (device.node.context.transport) {
+            device.node.context.transport.tempo = state.tempo;
+        }
+        device.scheduleEvent(new RNBO.TempoEvent(RNBO.TimeNow, state.tempo));
+    };
+
+    const transport = {
+        get tempo() { return state.tempo; },
+        get running() { return state.running; },
+        get numerator() { return state.numerator; },
+        get denominator() { return state.denominator; },
+
+        // Length of one time-signature beat and one bar, in quarter notes
+        beatLength() {
+            return 4 / state.denominator;
+        },
+        barLength() {
+            return state.numerator * transport.beatLength();
+        },
+
+        // Current musical position in quarter notes
+        getBeatTime() {
+            if (!state.running) return state.anchorBeat;
+            return state.anchorBeat + (context.currentTime - state.anchorTime) * state.tempo / 60;
+        },
+
+        // Audio-clock time (seconds) at which the given beat time is reached
+        timeAtBeat(beatTime) {
+            return context.currentTime + (beatTime - transport.getBeatTime()) * 60 / state.tempo;
+        },
+
+        setTempo(bpm) {
+            bpm = Number.parseFloat(bpm);
+            if (isNaN(bpm)) return;
+            applyTempo(bpm);
+            if (persist) localStorage.setItem(TRANSPORT_TEMPO_STORAGE_KEY, state.tempo);
+            notify();
+        },
+
+        setTimeSignature(numerator, denominator) {
+            numerator = Number.parseInt(numerator, 10);
+            denominator = Number.parseInt(denominator, 10);
+            if (!(numerator >= 1 && numerator <= 32) || ![1, 2, 4, 8, 16, 32].includes(denominator)) return;
+            state.numerator = numerator;
+            state.denominator = denominator;
+            device.scheduleEvent(new RNBO.TimeSignatureEvent(RNBO.TimeNow, numerator, denominator));
+            notify();
+        },
+
+        setRunning(running) {
+            if (running === state.running) return;
+            reanchor();
+            state.running = running;
+            if (device.node.context.transport) {
+                device.node.context.transport.running = running;
+            }
+            device.scheduleEvent(new RNBO.TransportEvent(RNBO.TimeNow, running ? 1 : 0));
+            notify();
+        },
+
+        // Moves the play position, e.g. back to the top on stop
+        setBeatTime(beatTime) {
+            reanchor(beatTime);
+            device.scheduleEvent(new RNBO.BeatTimeEvent(RNBO.TimeNow, beatTime));
+            notify();
+        },
+
+        subscribe(listener) {
+            listeners.push(listener);
+        }
+    };
+
+    // Follow the device when the patcher itself changes the transport
+    if (device.tempoEvent) {
+        device.tempoEvent.subscribe(ev => {
+            if (ev.tempo === state.tempo) return;
+            reanchor();
+            state.tempo = ev.tempo;
+            notify();
+        });
+    }
+    if (device.transportEvent) {
+        device.transportEvent.subscribe(ev => {
+            const running = !!ev.state;
+            if (running === state.running) return;
+            reanchor();
+            state.running = running;
+            notify();
+        });
+    }
+    if (device.beatTimeEvent) {
+        device.beatTimeEvent.subscribe(ev => reanchor(ev.beatTime));
+    }
+    if (device.timeSignatureEvent) {
+        device.timeSignatureEvent.subscribe(ev => {
+            state.numerator = ev.numerator;
+            state.denominator = ev.denominator;
+            notify();
+        });
+    }
+
+    // Only a change made after this is saved
+    applyTempo(state.tempo);
+    return transport;
+}
+
+// Formats a beat time as 1-based bar:beat:tick in the current time signature
+function formatBeatTime(transport, beatTime) {
+    const beatLength = transport.beatLength();
+    const totalBeats = Math.max(beatTime, 0) / beatLength;
+    const bar = Math.floor(totalBeats / transport.numerator) + 1;
+    const beat = Math.floor(totalBeats % transport.numerator) + 1;
+    const tick = Math.floor((totalBeats % 1) * beatLength * TRANSPORT_TICKS_PER_QUARTER);
+    return `${bar}:${beat}:${String(tick).padStart(3, "0")}`;
+}
+
+function makeTransportPanel(transport, root = document) {
+    const tempoInput = root.getElementById("tempo-input");
+    const tapButton = root.getElementById("tap-tempo-button");
+    const nudgeDownButton = root.getElementById("tempo-nudge-down");
+    const nudgeUpButton = root.getElementById("tempo-nudge-up");
+    const numeratorInput = root.getElementById("time-sig-numerator");
+    const denominatorSelect = root.getElementById("time-sig-denominator");
+    const readout = root.getElementById("position-readout");
+
+    const render = () => {
+        if (tempoInput && root.activeElement !== tempoInput) tempoInput.value = transport.tempo;
+        if (numeratorInput && root.activeElement !== numeratorInput) numeratorInput.value = transport.numerator;
+        if (denominatorSelect) denominatorSelect.value = transport.denominator;
+    };
+    transport.subscribe(render);
+    render();
+
+    if (tempoInput) {
+        const commitTempo = () => {
+            transport.setTempo(tempoInput.value);
+            tempoInput.value = transport.tempo;
+        };
+        tempoInput.addEventListener("change", commitTempo);
+        tempoInput.addEventListener("keydown", (ev) => {
+            if (ev.key === "Enter") commitTempo();
+        });
+    }
+
+    // Shift-click nudges in tenths of a BPM
+    const nudge = (direction) => (ev) => {
+        transport.setTempo(transport.tempo + direction * (ev.shiftKey ? 0.1 : 1));
+    };
+    if (nudgeDownButton) nudgeDownButton.addEventListener("click", nudge(-1));
+    if (nudgeUpButton) nudgeUpButton.addEventListener("click", nudge(1));
+
+    if (tapButton) {
+        let taps = [];
+        tapButton.addEventListener("pointerdown", (ev) => {
+            ev.preventDefault();
+            const now = performance.now();
+            // A pause of more than two seconds starts a new tap sequence
+            if (taps.length && now - taps[taps.length - 1] > 2000) taps = [];
+            taps.push(now);
+            taps = taps.slice(-5);
+            if (taps.length < 2) return;
+            const averageInterval = (taps[taps.length - 1] - taps[0]) / (taps.length - 1);
+            transport.setTempo(60000 / averageInterval);
+        });
+    }
+
+    const commitTimeSignature = () => {
+        transport.setTimeSignature(numeratorInput.value, denominatorSelect.value);
+        render();
+    };
+    if (numeratorInput) numeratorInput.addEventListener("change", commitTimeSignature);
+    if (denominatorSelect) denominatorSelect.addEventListener("change", commitTimeSignature);
+
+    if (readout) {
+        let lastText = "";
+        const draw = () => {
+            if (!readout.isConnected) return;
+            const text = formatBeatTime(transport, transport.getBeatTime());
+            if (text !== lastText) {
+                readout.textContent = text;
+                lastText = text;
+            }
+            requestAnimationFrame(draw);
+        };
+        requestAnimationFrame(draw);
+    }
+}
@@ -0,0 +1,627 @@
+/**
+ * Patcher-driven UI. Parameter controls, the pattern parameter and the
+ * inport/outport panels are all built from the patcher description, so a
+ * new export renders without code changes. An optional layout file next to
+ * the export (GS1.4.export.json -> GS1.4.layout.json) can pick widgets,
+ * labels and grouping:
+ *
+ *   {
+ *     "pattern": { "param": "loop_select", "inport": "loop_select", "labels": ["INTRO", "VERSE"] },
+ *     "spectrumMarker": "cut_off",
+ *     "hidden": ["debug_gain"],
+ *     "groups": [
+ *       { "label": "FILTER", "params": [
+ *         { "id": "cut_off", "label": "CUTOFF", "widget": "knob", "unit": "Hz", "curve": "log" },
+ *         { "id": "res", "unit": "%" }
+ *       ] }
+ *     ]
+ *   }
+ *
+ * Widgets are "slider", "knob", "buttons" and "toggle". Visible parameters
+ * the layout doesn't place are still shown, in a group of their own. RNBO
+ * parameters can't be set at a timestamp from outside, so quantized loop
+ * changes land exactly only through an inport that sets the pattern; it
+ * defaults to an inport named like the pattern parameter.
+ *
+ * Sliders and knobs follow a response curve: "log" gives every octave of a
+ * frequency range the same travel, otherwise the patcher's exponent (or an
+ * "exponent" in the layout) shapes it the way RNBO does. Values show their
+ * unit; "%" shows a 0-1 value as a percentage. Moves from the controls and
+ * from MIDI glide to the new value over the SMOOTHING time.
+ */
+
+const LAYOUT_DEFAULT_PATTERN_PARAM = "loop_select";
+const PARAM_WIDGETS = ["slider", "knob", "buttons", "toggle"];
+const KNOB_DRAG_PIXELS = 200;
+const BUTTON_GROUP_MAX_STEPS = 8;
+const PARAM_CURVES = ["linear", "log"];
+// Where a "log" range starts when the parameter itself goes down to 0
+const PARAM_LOG_FLOOR = 20;
+const PARAM_SLIDER_RESOLUTION = 1000;
+const PARAM_SMOOTHING_STORAGE_KEY = "glowstate.smoothing";
+const PARAM_SMOOTHING_DEFAULT = 30;
+const PARAM_SMOOTHING_MAX = 1000;
+const PARAM_RAMP_INTERVAL = 5;
+
+async function loadPatcherLayout(exportURL) {
+    const layoutURL = exportURL.replace(/\.export\.json$/, ".layout.json");
+    if (layoutURL === exportURL) return null;
+    try {
+        const response = await fetch(layoutURL);
+        if (!response.ok) return null;
+        return await response.json();
+    } catch (e) {
+        console.warn(`Couldn't read layout ${layoutURL}:`, e);
+        return null;
+    }
+}
+
+function defaultParamWidget(param, desc) {
+    const values = desc.isEnum ? (desc.enumValues || []).length : param.steps;
+    if (values === 2) return "toggle";
+    if (values > 2 && values <= BUTTON_GROUP_MAX_STEPS) return "buttons";
+    return "slider";
+}
+
+function resolvePatcherLayout(device, patcher, config) {
+    config = config || {};
+    const descriptions = {};
+    (patcher.desc.parameters || []).forEach(desc => {
+        descriptions[desc.paramId] = desc;
+    });
+    const findParam = (id) => device.parameters.find(p => p.id === id);
+
+    let patternParam = LAYOUT_DEFAULT_PATTERN_PARAM;
+    if (config.pattern && config.pattern.param !== undefined) patternParam = config.pattern.param;
+    if (patternParam && !findParam(patternParam)) {
+        if (config.pattern) console.warn(`Layout pattern parameter "${patternParam}" isn't in this export`);
+        patternParam = null;
+    }
+
+    const inports = (device.inports || []).map(port => port.tag);
+    let patternInport = config.pattern && config.pattern.inport !== undefined ? config.pattern.inport : patternParam;
+    if (patternInport && !inports.includes(patternInport)) {
+        if (config.pattern && config.pattern.inport) console.warn(`Layout pattern inport "${patternInport}" isn't in this export`);
+        patternInport = null;
+    }
+
+    let spectrumMarkerParam = config.spectrumMarker || null;
+    if (spectrumMarkerParam && !findParam(spectrumMarkerParam)) {
+        console.warn(`Layout spectrum marker "${spectrumMarkerParam}" isn't in this export`);
+        spectrumMarkerParam = null;
+    }
+
+    const hidden = new Set(config.hidden || []);
+    const placed = new Set();
+
+    const resolveItem = (entry) => {
+        if (typeof entry === "string") entry = { id: entry };
+        const param = findParam(entry.id);
+        if (!param) {
+            console.warn(`Layout parameter "${entry.id}" isn't in this export`);
+            return null;
+        }
+        if (placed.has(param.id) || param.id === patternParam) return null;
+        placed.add(param.id);
+
+        const desc = descriptions[param.id] || {};
+        let widget = entry.widget || defaultParamWidget(param, desc);
+        if (!PARAM_WIDGETS.includes(widget)) {
+            console.warn(`Unknown widget "${widget}" for "${param.id}", using a slider`);
+            widget = "slider";
+        }
+        let curve = entry.curve || "linear";
+        if (!PARAM_CURVES.includes(curve)) {
+            console.warn(`Unknown curve "${curve}" for "${param.id}", using a linear one`);
+            curve = "linear";
+        }
+        return {
+            id: param.id,
+            param,
+            desc,
+            label: entry.label || desc.displayName || param.name,
+            unit: entry.unit !== undefined ? entry.unit : (desc.unit || ""),
+            widget,
+            curve,
+            exponent: entry.exponent || desc.exponent || 1
+        };
+    };
+
+    const groups = (config.groups || [])
+        .map(group => ({ label: group.label || "", items: (group.params || []).map(resolveItem).filter(Boolean) }))
+        .filter(group => group.items.length);
+
+    const remaining = device.parameters
+        .filter(param => !placed.has(param.id) && !hidden.has(param.id) && param.id !== patternParam)
+        .filter(param => (descriptions[param.id] || {}).visible !== false)
+        .map(param => resolveItem({ id: param.id }))
+        .filter(Boolean);
+    if (remaining.length) {
+        groups.push({ label: groups.length ? "OTHER" : "PARAMETERS", items: remaining });
+    }
+
+    return {
+        patternParam,
+        patternInport,
+        patternLabels: (config.pattern && config.pattern.labels) || [],
+        spectrumMarkerParam,
+        groups
+    };
+}
+
+function paramValueSteps(item) {
+    const { param, desc } = item;
+    if (desc.isEnum) {
+        return (desc.enumValues || []).map((name, index) => ({ value: index, label: String(name) }));
+    }
+    const steps = Math.max(param.steps, 2);
+    return Array.from({ length: steps }, (_, i) => {
+        const value = param.min + i * (param.max - param.min) / (steps - 1);
+        return { value, label: formatParamValue(item, value) };
+    });
+}
+
+// Fewer decimals the wider the range: 3750 Hz needs none, 0.9 needs two
+function paramDecimals(param) {
+    const range = Math.abs(param.max - param.min);
+    if (range >= 100) return 0;
+    if (range >= 10) return 1;
+    return 2;
+}
+
+function formatParamValue(item, value) {
+    if (item.desc.isEnum) {
+        const name = (item.desc.enumValues || [])[Math.round(value)];
+        if (name !== undefined) return String(name);
+    }
+    const { unit } = item;
+    if (unit === "%") return `${Math.round(value * 100)}%`;
+    if (unit === "Hz" && Math.abs(value) >= 1000) return `${(value / 1000).toFixed(2)} kHz`;
+    const text = value.toFixed(paramDecimals(item.param));
+    return unit ? `${text} ${unit}` : text;
+}
+
+// Reads what was typed into a value box: "1.2k" and "1.2 kHz" are 1200,
+// and for "%" parameters "45" is 0.45
+function parseParamValue(item, text) {
+    const match = /^\s*(-?\d*\.?\d+)\s*(k)?/i.exec(text);
+    if (!match) return NaN;
+    let value = Number.parseFloat(match[1]);
+    if (match[2]) value *= 1000;
+    if (item.unit === "%") value /= 100;
+    return value;
+}
+
+function isContinuousParam(item) {
+    return !item.desc.isEnum && !(item.param.steps > 1);
+}
+
+// Where a value sits along its slider or knob, from 0 to 1
+function paramPosition(item, value) {
+    const { param } = item;
+    const range = param.max - param.min;
+    if (!range) return 0;
+    const floor = Math.max(param.min, PARAM_LOG_FLOOR);
+    if (item.curve === "log" && param.max > floor) {
+        if (value <= floor) return 0;
+        return Math.min(1, Math.log(value / floor) / Math.log(param.max / floor));
+    }
+    const linear = Math.min(1, Math.max(0, (value - param.min) / range));
+    return Math.pow(linear, 1 / item.exponent);
+}
+
+function paramValueAt(item, position) {
+    const { param } = item;
+    position = Math.min(1, Math.max(0, position));
+    const floor = Math.max(param.min, PARAM_LOG_FLOOR);
+    if (item.curve === "log" && param.max > floor) {
+        return position > 0 ? floor * Math.pow(param.max / floor, position) : param.min;
+    }
+    return param.min + (param.max - param.min) * Math.pow(position, item.exponent);
+}
+
+function clampParamValue(param, value) {
+    return Math.max(param.min, Math.min(param.max, value));
+}
+
+function makeParamLabel(item) {
+    const label = document.createElement("label");
+    label.setAttribute("name", item.param.name);
+    label.setAttribute("for", item.param.id);
+    label.setAttribute("id", `${item.param.id}-label`);
+    label.setAttribute("class", "param-label");
+    label.textContent = `${item.label}: `;
+    return label;
+}
+
+// The text box under sliders and knobs: shows the value, Enter sets it
+function makeParamText(item) {
+    const { param } = item;
+    const text = document.createElement("input");
+    text.setAttribute("value", formatParamValue(item, param.value));
+    text.setAttribute("type", "text");
+    text.setAttribute("aria-label", `${item.label} value`);
+    text.addEventListener("keydown", (ev) => {
+        if (ev.key === "Enter") {
+            let newValue = parseParamValue(item, text.value);
+            if (isNaN(newValue)) {
+                text.value = formatParamValue(item, param.value);
+            } else {
+                newValue = clampParamValue(param, newValue);
+                text.value = formatParamValue(item, newValue);
+                item.setValue(newValue);
+            }
+        }
+    });
+    return text;
+}
+
+// Writes into the live region of root, the page or a player's shadow root,
+// so screen readers read it out
+function announce(text, root = document) {
+    const region = root.getElementById("sr-announcer");
+    if (!region) return;
+    // Clearing first makes a repeat of the same text count as a change
+    region.textContent = "";
+    requestAnimationFrame(() => {
+        region.textContent = text;
+    });
+}
+
+// Glides parameters to new values instead of jumping, so fast drags and
+// coarse MIDI steps don't zipper. Stepped parameters still jump. The steps
+// on the way are marked, so that whatever records or passes on changes can
+// take the target instead (see subscribeParamChanges).
+function makeParamSmoother(root = document) {
+    const timeInput = root.getElementById("smoothing-time");
+    const ramps = new Map();
+    const targetListeners = [];
+    const stored = Number.parseFloat(localStorage.getItem(PARAM_SMOOTHING_STORAGE_KEY));
+    let time = isNaN(stored) ? PARAM_SMOOTHING_DEFAULT : stored;
+    let timer = null;
+    let stepping = null;
+
+    // Timers keep running in a background tab, if slower, so a ramp always ends
+    const tick = () => {
+        const now = performance.now();
+        ramps.forEach((ramp, id) => {
+            const t = Math.min(1, (now - ramp.start) / time);
+            // The target was reported as the ramp started, so the last step
+            // is marked too
+            stepping = ramp.param;
+            try {
+                ramp.param.value = ramp.from + (ramp.to - ramp.from) * t;
+            } finally {
+                stepping = null;
+            }
+            if (t >= 1) ramps.delete(id);
+        });
+        timer = ramps.size ? setTimeout(tick, PARAM_RAMP_INTERVAL) : null;
+    };
+
+    const setValue = (param, value, continuous = !(param.steps > 1)) => {
+        if (!continuous || time <= 0) {
+            ramps.delete(param.id);
+            param.value = value;
+            return;
+        }
+        // A new target starts from wherever the last ramp has got to
+        ramps.set(param.id, { param, from: param.value, to: value, start: performance.now() });
+        targetListeners.forEach(listener => listener(param, value));
+        if (timer === null) tick();
+    };
+
+    if (timeInput) {
+        timeInput.max = PARAM_SMOOTHING_MAX;
+        timeInput.value = time;
+        timeInput.addEventListener("change", () => {
+            const ms = Number.parseFloat(timeInput.value);
+            time = isNaN(ms) ? PARAM_SMOOTHING_DEFAULT : Math.min(PARAM_SMOOTHING_MAX, Math.max(0, ms));
+            timeInput.value = time;
+            localStorage.setItem(PARAM_SMOOTHING_STORAGE_KEY, time);
+        });
+    }
+
+    return {
+        setValue,
+
+        // Drops a glide under way, for whoever writes param.value directly;
+        // otherwise the next step would overwrite that value
+        cancel(param) {
+            ramps.delete(param.id);
+        },
+
+        // Where the parameter is heading, which is ahead of param.value mid-ramp
+        targetValue(param) {
+            const ramp = ramps.get(param.id);
+            return ramp ? ramp.to : param.value;
+        },
+
+        // True while a ramp is writing its next step to param
+        isRampStep(param) {
+            return stepping === param;
+        },
+
+        // Called with (param, target) as each ramp starts
+        onTarget(listener) {
+            targetListeners.push(listener);
+        }
+    };
+}
+
+// Calls listener(param, value) for the changes to the device's parameters
+// that were asked for: a glide shows up once, with its target, instead of
+// at every step on the way. The value can be ahead of param.value.
+function subscribeParamChanges(device, smoother, listener) {
+    device.parameterChangeEvent.subscribe(param => {
+        if (!smoother || !smoother.isRampStep(param)) listener(param, param.value);
+    });
+    if (smoother) smoother.onTarget(listener);
+}
+
+function makeSliderWidget(item, container) {
+    const { param } = item;
+    const slider = document.createElement("input");
+    const text = makeParamText(item);
+    let isDraggingSlider = false;
+
+    slider.setAttribute("type", "range");
+    slider.setAttribute("class", "param-slider");
+    slider.setAttribute("id", param.id);
+    slider.setAttribute("name", param.name);
+    // Continuous sliders run along the response curve from 0 to 1; stepped
+    // ones keep the parameter's own values so every step is a notch
+    const continuous = isContinuousParam(item);
+    const toSlider = (value) => continuous ? paramPosition(item, value) : value;
+    if (continuous) {
+        slider.setAttribute("min", 0);
+        slider.setAttribute("max", 1);
+        slider.setAttribute("step", 1 / PARAM_SLIDER_RESOLUTION);
+    } else {
+        slider.setAttribute("min", param.min);
+        slider.setAttribute("max", param.max);
+        slider.setAttribute("step", (param.max - param.min) / Math.max(param.steps - 1, 1));
+    }
+    slider.setAttribute("value", toSlider(param.value));
+    slider.setAttribute("aria-valuetext", formatParamValue(item, param.value));
+
+    slider.addEventListener("pointerdown", () => {
+        isDraggingSlider = true;
+    });
+    slider.addEventListener("pointerup", () => {
+        isDraggingSlider = false;
+        slider.value = toSlider(item.targetValue());
+        text.value = formatParamValue(item, item.targetValue());
+    });
+    slider.addEventListener("input", () => {
+        const position = Number.parseFloat(slider.value);
+        item.setValue(continuous ? paramValueAt(item, position) : position);
+    });
+
+    container.appendChild(slider);
+    container.appendChild(text);
+
+    return (value) => {
+        if (!isDraggingSlider) slider.value = toSlider(value);
+        text.value = formatParamValue(item, value);
+        slider.setAttribute("aria-valuetext", text.value);
+    };
+}
+
+function makeKnobWidget(item, container) {
+    const { param } = item;
+    const knob = document.createElement("div");
+    const text = makeParamText(item);
+    let drag = null;
+
+    knob.className = "param-knob";
+    knob.id = param.id;
+    // Focusable and announced like a native slider; arrow keys go through the shortcuts
+    knob.tabIndex = 0;
+    knob.setAttribute("role", "slider");
+    knob.setAttribute("aria-labelledby", `${param.id}-label`);
+    knob.setAttribute("aria-valuemin", param.min);
+    knob.setAttribute("aria-valuemax", param.max);
+
+    knob.addEventListener("pointerdown", (ev) => {
+        ev.preventDefault();
+        knob.setPointerCapture(ev.pointerId);
+        drag = { y: ev.clientY, start: paramPosition(item, item.targetValue()) };
+    });
+    knob.addEventListener("pointermove", (ev) => {
+        if (!drag) return;
+        // Shift drags ten times finer
+        const pixels = KNOB_DRAG_PIXELS * (ev.shiftKey ? 10 : 1);
+        item.setValue(paramValueAt(item, drag.start + (drag.y - ev.clientY) / pixels));
+    });
+    const endDrag = (ev) => {
+        if (!drag) return;
+        drag = null;
+        knob.releasePointerCapture(ev.pointerId);
+    };
+    knob.addEventListener("pointerup", endDrag);
+    knob.addEventListener("pointercancel", endDrag);
+    knob.addEventListener("dblclick", () => {
+        if (item.desc.initialValue !== undefined) item.setValue(item.desc.initialValue);
+    });
+
+    container.appendChild(knob);
+    container.appendChild(text);
+
+    const update = (value) => {
+        knob.style.setProperty("--knob-rotation", `${-135 + paramPosition(item, value) * 270}deg`);
+        text.value = formatParamValue(item, value);
+        knob.setAttribute("aria-valuenow", value);
+        knob.setAttribute("aria-valuetext", text.value);
+    };
+    update(param.value);
+    return update;
+}
+
+function makeButtonsWidget(item, container) {
+    const { param } = item;
+    const group = document.createElement("div");
+    group.className = "param-buttons";
+    group.setAttribute("role", "group");
+    group.setAttribute("aria-labelledby", `${param.id}-label`);
+    const steps = paramValueSteps(item);
+
+    const buttons = steps.map(step => {
+        const button = document.createElement("button");
+        button.className = "small-button";
+        button.textContent = step.label;
+        button.addEventListener("click", () => {
+            param.value = step.value;
+        });
+        group.appendChild(button);
+        return button;
+    });
+    container.appendChild(group);
+
+    const update = (value) => {
+        // Highlight the step nearest the current value
+        let nearest = 0;
+        steps.forEach((step, index) => {
+            if (Math.abs(step.value - value) < Math.abs(steps[nearest].value - value)) nearest = index;
+        });
+        buttons.forEach((button, index) => {
+            button.classList.toggle("active", index === nearest);
+            button.setAttribute("aria-pressed", String(index === nearest));
+        });
+    };
+    update(param.value);
+    return update;
+}
+
+function makeToggleWidget(item, container) {
+    const { param } = item;
+    const steps = paramValueSteps(item);
+    const off = steps[0];
+    const on = steps[steps.length - 1];
+    const button = document.createElement("button");
+    button.className = "small-button param-toggle";
+    button.id = param.id;
+    button.addEventListener("click", () => {
+        param.value = button.classList.contains("active") ? off.value : on.value;
+    });
+    container.appendChild(button);
+
+    const update = (value) => {
+        const isOn = Math.abs(value - on.value) < Math.abs(value - off.value);
+        button.classList.toggle("active", isOn);
+        button.setAttribute("aria-pressed", String(isOn));
+        button.textContent = isOn ? on.label : off.label;
+    };
+    update(param.value);
+    return update;
+}
+
+const PARAM_WIDGET_BUILDERS = {
+    slider: makeSliderWidget,
+    knob: makeKnobWidget,
+    buttons: makeButtonsWidget,
+    toggle: makeToggleWidget
+};
+
+// Builds one control group per layout group. Returns the rendered items,
+// each with the parameter, its label, widget type and response curve, and a
+// setValue() that glides through the smoother.
+function makeParameterUI(device, layout, smoother, root = document) {
+    const groupsRow = root.getElementById("rnbo-parameter-groups");
+    if (!groupsRow) return [];
+
+    const updaters = {};
+    const items = [];
+
+    layout.groups.forEach(group => {
+        const groupDiv = document.createElement("div");
+        groupDiv.className = "control-group effects-group";
+        const heading = document.createElement("h3");
+        heading.className = "group-label";
+        heading.textContent = group.label;
+        const pdiv = document.createElement("div");
+        pdiv.className = "parameters-container";
+        groupDiv.appendChild(heading);
+        groupDiv.appendChild(pdiv);
+
+        group.items.forEach(item => {
+            item.setValue = (value) => smoother.setValue(item.param, value, isContinuousParam(item));
+            item.targetValue = () => smoother.targetValue(item.param);
+            const container = document.createElement("div");
+            container.className = `param-control param-${item.widget}`;
+            container.dataset.paramId = item.id;
+            container.appendChild(makeParamLabel(item));
+            updaters[item.id] = PARAM_WIDGET_BUILDERS[item.widget](item, container);
+            pdiv.appendChild(container);
+            items.push(item);
+        });
+        groupsRow.appendChild(groupDiv);
+    });
+
+    if (!items.length) {
+        const empty = document.createElement("em");
+        empty.className = "empty-state";
+        empty.textContent = "No parameters available";
+        groupsRow.appendChild(empty);
+    }
+
+    device.parameterChangeEvent.subscribe(param => {
+        if (updaters[param.id]) updaters[param.id](param.value);
+    });
+
+    return items;
+}
+
+// Inport form and outport readout, shown only when the patcher has them
+function makeMessagePorts(device) {
+    const messagesRow = document.getElementById("rnbo-messages");
+    if (!messagesRow) return;
+
+    const inports = device.messages.filter(message => message.type === RNBO.MessagePortType.Inport);
+    const outports = device.outports;
+
+    if (inports.length) {
+        const group = document.createElement("div");
+        group.className = "control-group";
+        group.innerHTML = `<h3 class="group-label">INPORTS</h3>
+            <form class="inport-form">
+                <div class="inport-input">
+                    <select class="custom-select" aria-label="Inport"></select>
+                    <input class="text-input" type="text" aria-label="Message values" placeholder="Numbers separated by spaces">
+                    <button type="submit" class="glow-button">SEND</button>
+                </div>
+            </form>`;
+        const select = group.querySelector("select");
+        const text = group.querySelector("input");
+        inports.forEach(inport => {
+            const option = document.createElement("option");
+            option.innerText = inport.tag;
+            select.appendChild(option);
+        });
+        group.querySelector("form").addEventListener("submit", (ev) => {
+            // Do this or else the page will reload
+            ev.preventDefault();
+
+            // RNBO messages must be numbers, not text
+            const values = text.value.split(/\s+/).filter(Boolean).map(s => parseFloat(s));
+            device.scheduleEvent(new RNBO.MessageEvent(RNBO.TimeNow, select.value, values));
+        });
+        messagesRow.appendChild(group);
+    }
+
+    if (outports.length) {
+        const group = document.createElement("div");
+        group.className = "control-group";
+        group.innerHTML = `<h3 class="group-label">OUTPORTS</h3>
+            <div class="console-output"><div class="console-text">Waiting for messages…</div></div>`;
+        const readout = group.querySelector(".console-text");
+        device.messageEvent.subscribe((ev) => {
+            // Ignore message events that don't belong to an outport
+            if (outports.findIndex(elt => elt.tag === ev.tag) < 0) return;
+            readout.innerText = `${ev.tag}: ${ev.payload}`;
+        });
+        messagesRow.appendChild(group);
+    }
+
+    messagesRow.hidden = !inports.length && !outports.length;
+}
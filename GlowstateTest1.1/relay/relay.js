@@ -0,0 +1,224 @@
+/**
+ * Local relay for remote control. Serves the app like `npx http-server`
+ * does, and passes every WebSocket message sent to /relay on to all the
+ * other clients. It keeps no state of its own: the pages work out which
+ * values win (see js/remote.js). Plain Node, no packages to install:
+ *
+ *   node relay/relay.js [port]
+ *
+ * then open http://<this computer's address>:<port>/?controller on the
+ * phone. Only run it on a network you trust; anyone who can reach the port
+ * can play the controls.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const PORT = Number.parseInt(process.argv[2] || process.env.PORT || "8080", 10);
+const ROOT = path.resolve(__dirname, "..");
+const RELAY_PATH = "/relay";
+// From RFC 6455: appended to the client's key to prove this is a WebSocket server
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+// Control messages are small; anything bigger than this is dropped with the client
+const MAX_MESSAGE_BYTES = 1 << 20;
+// Clients that don't answer a ping in this time (ms) are dropped
+const PING_INTERVAL = 30000;
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+const MIME_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".json": "application/json",
+    ".webmanifest": "application/manifest+json",
+    ".css": "text/css; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".wav": "audio/wav",
+    ".mp3": "audio/mpeg",
+    ".ogg": "audio/ogg",
+    ".flac": "audio/flac",
+    ".wasm": "application/wasm"
+};
+
+const clients = new Set();
+
+function serveFile(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    } catch (e) {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+    const file = path.join(ROOT, pathname.endsWith("/") ? pathname + "index.html" : pathname);
+    // Nothing outside the app folder, and not the relay itself
+    if (!file.startsWith(ROOT + path.sep) || file.startsWith(__dirname + path.sep)) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(err.code === "ENOENT" || err.code === "EISDIR" ? 404 : 500);
+            res.end();
+            return;
+        }
+        res.writeHead(200, {
+            "Content-Type": MIME_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream",
+            "Cache-Control": "no-cache"
+        });
+        res.end(data);
+    });
+}
+
+// Server frames are never masked or fragmented
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Reads the next whole frame from the start of buffer, or returns null
+// until enough of it has arrived
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        length = longLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(longLength);
+        offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) return { tooLarge: true };
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    return { fin, opcode, masked, payload, size: offset + length };
+}
+
+function broadcast(sender, text) {
+    const frame = encodeFrame(OPCODE_TEXT, Buffer.from(text, "utf8"));
+    clients.forEach(client => {
+        if (client !== sender) client.socket.write(frame);
+    });
+}
+
+function acceptClient(req, socket) {
+    const key = req.headers["sec-websocket-key"];
+    const pathname = new URL(req.url, "http://localhost").pathname;
+    if (pathname !== RELAY_PATH || !key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return;
+    }
+    const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+    socket.write("HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+
+    const client = { socket, alive: true };
+    clients.add(client);
+    console.log(`Client connected from ${req.socket.remoteAddress} (${clients.size} connected)`);
+
+    let pending = Buffer.alloc(0);
+    let fragments = [];
+
+    const close = (code) => {
+        if (!clients.delete(client)) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        socket.end(encodeFrame(OPCODE_CLOSE, payload));
+        console.log(`Client disconnected (${clients.size} connected)`);
+    };
+    client.close = close;
+
+    socket.on("data", (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        for (;;) {
+            const frame = decodeFrame(pending);
+            if (!frame) return;
+            // 1009: too big; 1002: clients must mask what they send
+            if (frame.tooLarge) return close(1009);
+            if (!frame.masked) return close(1002);
+            pending = pending.subarray(frame.size);
+
+            if (frame.opcode === OPCODE_TEXT || frame.opcode === OPCODE_CONTINUATION) {
+                fragments.push(frame.payload);
+                if (fragments.reduce((total, part) => total + part.length, 0) > MAX_MESSAGE_BYTES) return close(1009);
+                if (!frame.fin) continue;
+                broadcast(client, Buffer.concat(fragments).toString("utf8"));
+                fragments = [];
+            } else if (frame.opcode === OPCODE_PING) {
+                socket.write(encodeFrame(OPCODE_PONG, frame.payload));
+            } else if (frame.opcode === OPCODE_PONG) {
+                client.alive = true;
+            } else if (frame.opcode === OPCODE_CLOSE) {
+                return close(1000);
+            }
+        }
+    });
+
+    socket.on("close", () => {
+        if (clients.delete(client)) console.log(`Client disconnected (${clients.size} connected)`);
+    });
+    socket.on("error", () => socket.destroy());
+}
+
+const server = http.createServer(serveFile);
+server.on("upgrade", acceptClient);
+
+setInterval(() => {
+    clients.forEach(client => {
+        if (!client.alive) {
+            client.close(1001);
+            client.socket.destroy();
+            return;
+        }
+        client.alive = false;
+        client.socket.write(encodeFrame(OPCODE_PING, Buffer.alloc(0)));
+    });
+}, PING_INTERVAL);
+
+server.listen(PORT, () => {
+    console.log(`Serving ${ROOT} on port ${PORT}, relay at ${RELAY_PATH}`);
+    Object.values(os.networkInterfaces()).flat().filter(net => net.family === "IPv4" && !net.internal).forEach(net => {
+        console.log(`  Controller: http://${net.address}:${PORT}/?controller`);
+    });
+    console.log(`  This computer: http://localhost:${PORT}/`);
+});
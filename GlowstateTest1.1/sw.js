@@ -0,0 +1,150 @@
+/**
+ * Service worker: precaches everything the app needs to start without a
+ * network connection and answers from that cache. Same-origin files are
+ * served from the cache and refreshed in the background, so a new export
+ * shows up on the next load; rnbo.js and fonts are versioned and served
+ * cache-first. Bump CACHE_NAME when the list of app files changes.
+ */
+
+importScripts("js/offline.js", "js/loading.js", "js/patchers.js");
+
+const CACHE_NAME = "glowstate-v13";
+const GOOGLE_FONTS_CSS = "https://fonts.googleapis.com/css2?family=Orbitron:wght@400;600;700;900&family=JetBrains+Mono:wght@300;400;500&display=swap";
+
+const APP_FILES = [
+    "./",
+    "index.html",
+    "manifest.webmanifest",
+    "style/style.css",
+    "img/icon.svg",
+    "js/guardrails.js",
+    "js/storage.js",
+    "js/transport.js",
+    "js/launch.js",
+    "js/sync.js",
+    "js/loops.js",
+    "js/song.js",
+    "js/automation.js",
+    "js/macros.js",
+    "js/history.js",
+    "js/wav.js",
+    "js/render.js",
+    "js/recorder.js",
+    "js/recorder-worklet.js",
+    "js/meters.js",
+    "js/master.js",
+    "js/limiter-worklet.js",
+    "js/midi-learn.js",
+    "js/presets.js",
+    "js/ui.js",
+    "js/patchers.js",
+    "js/offline.js",
+    "js/loading.js",
+    "js/shortcuts.js",
+    "js/share.js",
+    "js/remote.js",
+    "js/lifecycle.js",
+    "js/player.js",
+    "js/embed.js",
+    "js/app.js",
+    PATCHER_MANIFEST_URL
+];
+
+// Adds a file that may legitimately be missing, e.g. an optional layout
+async function addOptional(cache, url) {
+    try {
+        const response = await fetch(url);
+        if (response.ok) await cache.put(url, response);
+        return response.ok;
+    } catch (e) {
+        return false;
+    }
+}
+
+// The stylesheet only names the font files, so those are fetched from it
+async function precacheFonts(cache) {
+    const response = await fetch(GOOGLE_FONTS_CSS);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${GOOGLE_FONTS_CSS}`);
+    const css = await response.clone().text();
+    await cache.put(GOOGLE_FONTS_CSS, response);
+    const fontURLs = Array.from(css.matchAll(/url\((https:[^)]+)\)/g), match => match[1]);
+    await cache.addAll(fontURLs);
+}
+
+// Every export in the manifest, its media and layout, and the rnbo.js it needs
+async function precacheExports(cache) {
+    const manifest = await loadPatcherManifest();
+    for (const entry of manifest.entries) {
+        const response = await fetch(entry.patcherURL);
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${entry.patcherURL}`);
+        const patcher = await response.clone().json();
+        await cache.put(entry.patcherURL, response);
+
+        await addOptional(cache, entry.dependenciesURL);
+        await addOptional(cache, entry.patcherURL.replace(/\.export\.json$/, ".layout.json"));
+        const dependencies = await loadPatcherDependencies(entry).catch(() => []);
+        await cache.addAll(dependencies.filter(d => d.file).map(d => d.file));
+
+        const rnboURLs = rnboScriptURLs(patcher.desc.meta.rnboversion);
+        if (!await addOptional(cache, rnboURLs.local)) {
+            // The CDN doesn't have to send CORS headers; an opaque copy still loads as a <script>
+            await cache.put(rnboURLs.cdn, await fetch(new Request(rnboURLs.cdn, { mode: "no-cors" })));
+        }
+    }
+}
+
+self.addEventListener("install", (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_FILES);
+        await precacheExports(cache);
+        // Offline without the fonts still beats not at all
+        await precacheFonts(cache).catch(err => console.warn("Fonts not cached:", err));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith("glowstate-") && name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const refresh = fetch(event.request).then(async (response) => {
+        if (response.ok) await cache.put(event.request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    if (request.method !== "GET") return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (request.url.startsWith(RNBO_CDN_BASE) || url.hostname === "fonts.googleapis.com" || url.hostname === "fonts.gstatic.com") {
+        event.respondWith(cacheFirst(request));
+    }
+});